@@ -0,0 +1,4 @@
+// Runs the same test suite using Web Crypto random source, as in browsers and edge runtimes
+export default {
+  require: ['./test/helpers/webCrypto.js']
+}
@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+
+const { runCli } = require('../src/cli')
+
+runCli(process.argv.slice(2), {
+  stdin: process.stdin,
+  stdout: process.stdout,
+  stderr: process.stderr
+}).then(exitCode => {
+  process.exitCode = exitCode
+}).catch(err => {
+  process.stderr.write(`${err.stack || err}\n`)
+  process.exitCode = 1
+})
@@ -1,9 +1,14 @@
 const apiKey = require('./src/apiKey')
 const generator = require('./src/generator')
+const keyHash = require('./src/keyHash')
+const { createKeyUtils } = require('./src/keyUtils')
 
 module.exports.apiKey = apiKey
 module.exports.generator = generator
+module.exports.keyHash = keyHash
+module.exports.createKeyUtils = createKeyUtils
 
 // Also expose functions directly for convenience
 for (const f in apiKey) module.exports[f] = apiKey[f]
 for (const f in generator) module.exports[f] = generator[f]
+for (const f in keyHash) module.exports[f] = keyHash[f]
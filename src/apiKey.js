@@ -1,106 +1,281 @@
+const nodeCrypto = require('crypto') // empty object in browser bundles, see package.json
+const base62 = require('base62/lib/custom')
+
+const defaultGenerator = require('./generator')
+const { getGeneratorInternals } = require('./internals')
 const {
-  getRandomString,
   encodePlatformId,
-  extractEncodedPlatformId,
-  platformZones,
-  formatPlatformZone,
-  platformPartLength
-} = require('./generator')
-
-const builtInTypes = [
-  'seck', // secret
-  'pubk', // publishable
-  'cntk' // content
+  platformPartLength,
+  widePlatformPartLength,
+  maxPlatformId,
+  base62Chars
+} = defaultGenerator
+const {
+  getRandomStringTask,
+  encodeFormatVersion,
+  decodeFormatVersion
+} = getGeneratorInternals(defaultGenerator)
+
+const base62Index = base62.indexCharset(base62Chars)
+
+/**
+ * Key types registered by default, see registerKeyType.
+ * @constant {Array<Object>}
+ */
+const builtInKeyTypes = [
+  { type: 'seck', displayName: 'Secret key', secret: true },
+  { type: 'pubk', displayName: 'Publishable key', secret: false },
+  { type: 'cntk', displayName: 'Content key', secret: false }
 ]
+const builtInTypes = builtInKeyTypes.map(keyType => keyType.type)
 
-// TODO: detect zone from server environment region (AWS)
-const platformZone = platformZones[0] // using 'e' as default
 const platformPartIndex = 12 // excludes 'type_env_' prefix
-const keyLength = 32 // excludes 'type_env_' prefix
+const keyLength = 32 // excludes 'type_env_' prefix and checksum
+// CRC32 max value 4294967295 is encoded in 6 base62 chars ('4gfFC3')
+const checksumLength = 6
+
+/** API key layouts by format version. Keys generated before versioning have no version char
+ * and are parsed as v3 keys, with or without checksum.
+ * Newer keys start with version char right after 'type_env_' prefix.
+ * `length` includes version char and checksum.
+ * @constant {Object}
+ */
+const keyLayouts = {
+  3: {
+    version: 3,
+    length: keyLength + checksumLength,
+    versionChar: '',
+    widePlatform: false,
+    extended: false,
+    platformPartLength
+  },
+  4: {
+    version: 4,
+    length: 1 + keyLength + checksumLength,
+    versionChar: encodeFormatVersion(4),
+    widePlatform: false,
+    extended: false,
+    platformPartLength
+  }
+}
+const latestKeyVersion = 4
+
+/** Opt-in API key layout features, encoded in version char along with format version
+ * as `version + 8 * flags` like object IDs.
+ * - widePlatform: 5-char platformId part, for platformIds greater than maxPlatformId,
+ *   making keys one char longer
+ * - extended: key extensions follow random part, see keyExtensions
+ * @constant {Object}
+ */
+const keyFeatureFlags = {
+  widePlatform: 1,
+  extended: 2
+}
+
+// Truncated HMAC-SHA256 signature: two 40-bit chunks each encoded in 7 base62 chars
+const signatureChunkBytes = 5
+const signatureChunkLength = 7
+const signatureLength = 2 * signatureChunkLength
+const signingKeyIdRegex = /^[a-zA-Z\d]$/
+
+// Expiry timestamp in seconds, like object IDs
+const expiryLength = 6
+const maxExpiryTimestamp = (Math.pow(62, expiryLength) - 1) * 1000
+
+// Random chars shared by keys of the same pair
+const linkLength = 8
+
+/** Optional extensions of extended API keys, appended in this order between random part
+ * and checksum. Each extension is made of its tag char followed by a fixed-length payload.
+ * - expiry: base62-encoded expiry timestamp in seconds
+ * - link: random chars shared by secret and publishable keys of the same pair, see generateKeyPair
+ * - signature: signing secret key ID char and truncated HMAC-SHA256 of all preceding key chars,
+ *   coming last so that other extensions are signed as well
+ * @constant {Object}
+ */
+const keyExtensions = {
+  expiry: { tag: 'x', length: expiryLength },
+  link: { tag: 'l', length: linkLength },
+  signature: { tag: 's', length: 1 + signatureLength }
+}
+
 const typeMinLength = 4
 const typeMaxLength = 10
 const customTypeRegex = new RegExp(`^[a-z\\d]{5,${typeMaxLength}}$`, 'i')
 
+// Legacy keys without checksum can be shorter than keyLength
+const legacyKeyMinLength = 24
+const keyBodyMinLength = legacyKeyMinLength
+const keyBodyMaxLength = keyLayouts[latestKeyVersion].length + widePlatformPartLength - platformPartLength +
+  Object.values(keyExtensions).reduce((length, extension) => length + 1 + extension.length, 0)
+// Not using word boundaries since '_' is a word char, and keys can follow digits or '_' as in '%22' or 'KEY_'
+const keyBodyPattern = `[a-zA-Z\\d]{${keyBodyMinLength},${keyBodyMaxLength}}(?![a-zA-Z\\d])`
+
+/**
+ * Matches candidate API keys of any type and env, such as 'seck_live_[random chars]',
+ * to be used by secret-scanning tools or with findKeysInText.
+ * Candidates can start in the middle of an alphanumeric string and still need to be validated
+ * with parseKey, trying shorter type parts when needed like findKeysInText.
+ * @constant {RegExp}
+ */
+const keyRegex = new RegExp(`[a-zA-Z\\d]{${typeMinLength},${typeMaxLength}}_[a-zA-Z\\d]+_${keyBodyPattern}`)
+
+const redactedKeyMask = '***'
+
 /**
- * Generate API key with appropriate info and random characters
- * @param  {String} type - '(sec|pub)k' built-in type, or custom user type [a-z\d]{5,10}
- * @param  {String} env - either 'live' or 'test'
- * @param  {String} platformId - Platform Id string integer
- * @param  {String} [zone='e'] - one of allowed zones such as 'e'
+ * Computes base62-encoded CRC32 checksum of `str`, left-padded with '0' to checksumLength.
+ * @param  {String} str
  * @return {String}
  */
-async function generateKey ({ type, env, platformId, zone = platformZone }) {
-  const validType = validateKeyType(type)
+function getKeyChecksum (str) {
+  return base62.encode(crc32(str), base62Index).padStart(checksumLength, '0')
+}
+
+let crc32Table
+function crc32 (str) {
+  if (!crc32Table) {
+    crc32Table = []
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+      crc32Table[n] = c >>> 0
+    }
+  }
 
-  if (typeof platformId !== 'string') {
-    throw new Error('Platform id is expected to be a string')
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < str.length; i++) {
+    // Keys are made of ASCII chars, so that char codes are bytes
+    crc = crc32Table[(crc ^ str.charCodeAt(i)) & 0xFF] ^ (crc >>> 8)
   }
-  if (platformId !== '' + parseInt(platformId, 10)) {
-    throw new Error('Platform id is expected to be a string integer')
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * Returns API key layout of given format version, with optional features.
+ * `length` of extended layouts excludes key extensions.
+ * @param  {Number} version
+ * @param  {Object} [features]
+ * @param  {Boolean} [features.widePlatform=false]
+ * @param  {Boolean} [features.extended=false]
+ * @return {Object} layout, see keyLayouts
+ */
+function getKeyLayout (version, { widePlatform = false, extended = false } = {}) {
+  const layout = keyLayouts[version]
+  if (!layout) {
+    throw new Error(`ApiKey version is expected to be one of ${Object.keys(keyLayouts).join(', ')}`)
   }
-  if (typeof env !== 'string') {
-    throw new Error('Environment is expected to be a string')
+  if (!widePlatform && !extended) return layout
+  if (version < 4) throw new Error('Wide platform and extended keys are not available before version 4')
+
+  const flags = (widePlatform ? keyFeatureFlags.widePlatform : 0) |
+    (extended ? keyFeatureFlags.extended : 0)
+  const platformLength = widePlatform ? widePlatformPartLength : layout.platformPartLength
+
+  return {
+    ...layout,
+    widePlatform,
+    extended,
+    platformPartLength: platformLength,
+    length: layout.length + platformLength - layout.platformPartLength,
+    versionChar: encodeFormatVersion(version + 8 * flags)
   }
+}
 
-  const baseString = `${validType.substring(0, typeMaxLength)}_${env}_`
+/**
+ * Detects layout of API key from its random part following 'type_env_' prefix.
+ * Falls back to v3 layout.
+ * @param  {String} randomString
+ * @return {Object} layout, see keyLayouts
+ */
+function detectKeyLayout (randomString) {
+  const versionAndFlags = decodeFormatVersion(randomString.charAt(0))
+  const version = versionAndFlags % 8
+  const flags = Math.floor(versionAndFlags / 8)
 
-  // Keep one char for platform zone
-  const randomCharsNeeded = keyLength - platformPartLength
-  const randomString = await getRandomString(randomCharsNeeded)
-  const encodedPlatformId = encodePlatformId({
-    platformId,
-    shuffler: randomString.slice(-3)
+  const knownFlags = keyFeatureFlags.widePlatform | keyFeatureFlags.extended
+  // v3 keys have no version char
+  if (version === 3 || !keyLayouts[version] || flags & ~knownFlags) return keyLayouts[3]
+
+  const versionedLayout = getKeyLayout(version, {
+    widePlatform: !!(flags & keyFeatureFlags.widePlatform),
+    extended: !!(flags & keyFeatureFlags.extended)
   })
+  const hasLayoutLength = versionedLayout.extended
+    ? randomString.length > versionedLayout.length
+    : randomString.length === versionedLayout.length
 
-  const platformString = formatPlatformZone({ env, zone }) + encodedPlatformId
+  return hasLayoutLength ? versionedLayout : keyLayouts[3]
+}
+
+/**
+ * Parses key extensions string found between random part and checksum of extended keys.
+ * @param  {String} extensionsString
+ * @return {Object} extension payloads by name, null if extensions are invalid
+ */
+function parseKeyExtensions (extensionsString) {
+  const extensions = {}
+  let index = 0
+
+  Object.keys(keyExtensions).forEach(name => {
+    const { tag, length } = keyExtensions[name]
+    if (extensionsString.charAt(index) !== tag) return
 
-  const str = baseString +
-    randomString.substring(0, platformPartIndex) +
-    platformString +
-    randomString.substring(platformPartIndex)
+    extensions[name] = extensionsString.slice(index + 1, index + 1 + length)
+    index += 1 + length
+  })
 
-  return str
+  return index === extensionsString.length ? extensions : null
 }
 
 /**
- * Returned extracted information from API `key`. Note that it does not throw and rather sets
- * `hasValidFormat` value to false in returned object if `key` format is invalid.
- * @param  {String} key
- * @return {Object} `{ type, env, platformId, zone, hasValidFormat }`
+ * Computes truncated HMAC-SHA256 signature of `str` with `secret`, encoded in base62 chars.
+ * Requires Node crypto module.
+ * @param  {String} str
+ * @param  {String|Buffer} secret
+ * @return {String}
  */
-function parseKey (key) {
-  let hasValidFormat = false
-  if (typeof key !== 'string') return { hasValidFormat }
+function computeKeySignature (str, secret) {
+  if (!nodeCrypto.createHmac) throw new Error('ApiKey signatures require Node crypto module')
 
-  const parts = key.split('_')
-  if (parts.length !== 3) return { hasValidFormat }
+  const digest = nodeCrypto.createHmac('sha256', secret).update(str).digest()
 
-  let platformId
-  let type = parts[0]
-  const env = parts[1]
-  const randomString = parts[2]
+  return [0, signatureChunkBytes].map(offset => {
+    return base62.encode(digest.readUIntBE(offset, signatureChunkBytes), base62Index)
+      .padStart(signatureChunkLength, '0')
+  }).join('')
+}
 
-  const zone = (randomString.charAt(platformPartIndex) || '').toLowerCase()
-  const encodedPlatformId = randomString.slice(
-    platformPartIndex,
-    platformPartIndex + platformPartLength
-  )
-  const shuffler = randomString.slice(-3)
+function encodeKeyExpiry (expiresAt) {
+  const timestamp = expiresAt instanceof Date ? expiresAt.getTime() : expiresAt
+  if (typeof timestamp !== 'number' || !Number.isFinite(timestamp)) {
+    throw new Error('ApiKey expiry is expected to be a Date or a number of milliseconds since epoch')
+  }
+  if (timestamp < 0 || timestamp > maxExpiryTimestamp) {
+    throw new Error(`ApiKey expiry is expected to be before ${new Date(maxExpiryTimestamp).toISOString()}`)
+  }
 
-  try {
-    type = validateKeyType(type)
-    platformId = extractEncodedPlatformId(encodedPlatformId, { shuffler })
-  } catch (e) {}
+  return base62.encode(Math.floor(timestamp / 1000), base62Index).padStart(expiryLength, '0')
+}
 
-  hasValidFormat = [type, env, platformId, zone].every(i => !!i)
+/**
+ * Decodes expiry timestamp in key extension.
+ * @param  {String} encodedExpiry
+ * @return {Date} null if `encodedExpiry` is invalid
+ */
+function decodeKeyExpiry (encodedExpiry) {
+  const timestamp = base62.decode(encodedExpiry, base62Index) * 1000
+  return Number.isFinite(timestamp) ? new Date(timestamp) : null
+}
 
-  return {
-    type,
-    env,
-    platformId,
-    zone,
-    hasValidFormat
+function validateSigningSecret (signingSecret) {
+  const { keyId, secret } = signingSecret || {}
+  if (typeof keyId !== 'string' || !signingKeyIdRegex.test(keyId)) {
+    throw new Error('Signing secret keyId is expected to be a single base62 char')
   }
+  if (!secret || (typeof secret !== 'string' && !(secret instanceof Uint8Array))) {
+    throw new Error('Signing secret is expected to be a non-empty string or Buffer')
+  }
+  return { keyId, secret }
 }
 
 function validateKeyType (type) {
@@ -116,24 +291,569 @@ function validateKeyType (type) {
   return type
 }
 
-function getBaseKey (key) {
-  const parsedKey = parseKey(key)
-  if (!parsedKey.hasValidFormat) return
+/**
+ * Returns metadata of custom `type` that was not registered.
+ * Such keys are considered secret to be on the safe side.
+ * @param  {String} type
+ * @return {Object}
+ */
+function getUnregisteredKeyType (type) {
+  return {
+    type,
+    displayName: type,
+    secret: true,
+    envs: null,
+    deprecated: false,
+    registered: false
+  }
+}
 
+/**
+ * Returns API key generator and parsers bound to `generator` zone registry and random source,
+ * and to a registry of key types including built-in types.
+ * @param {Object} [options]
+ * @param {Object} [options.generator] - object returned by generator createGenerator
+ * @param {Array<Object>} [options.keyTypes] - custom key types to register, see registerKeyType
+ * @param {Function} [options.now=Date.now] - clock returning current time in milliseconds,
+ *   used to check key expiry
+ * @return {Object}
+ */
+function createApiKey ({ generator = defaultGenerator, keyTypes = [], now = () => Date.now() } = {}) {
   const {
+    extractEncodedPlatformId,
+    defaultZone,
+    formatPlatformZone,
+    getZoneRegion,
+    formatPublicPlatformId,
+    normalizeEnv,
+    validateEnv,
+    isLiveEnv
+  } = generator
+  const { runTask, runTaskSync } = getGeneratorInternals(generator)
+
+  const platformZone = defaultZone // resolved from server environment, see createGenerator
+
+  // Key type registry, by type
+  const registeredKeyTypes = new Map()
+  if (!Array.isArray(keyTypes)) throw new Error('Array of key types expected')
+  builtInKeyTypes.forEach(keyType => addKeyType(keyType))
+  keyTypes.forEach(registerKeyType)
+
+  /**
+   * Registers custom key type with its metadata, so that generateKey enforces its rules
+   * and parseKey returns its metadata.
+   * Custom types must match customTypeRegex, shorter types being reserved for built-in types.
+   * @param  {Object} keyType
+   * @param  {String} keyType.type - such as 'webhook'
+   * @param  {String} [keyType.displayName=type] - human-readable name such as 'Webhook key'
+   * @param  {Boolean} [keyType.secret=true] - false if keys can be exposed publicly, e.g. in browsers
+   * @param  {Array<String>} [keyType.envs] - allowed registered envs such as `['test']`,
+   *   any env if omitted
+   * @param  {Boolean} [keyType.deprecated=false] - deprecated keys can't be generated anymore
+   *   but can still be parsed
+   * @return {Object} registered key type `{ type, displayName, secret, envs, deprecated, registered }`
+   */
+  function registerKeyType (keyType) {
+    const { type } = keyType || {}
+    if (typeof type !== 'string' || !customTypeRegex.test(type)) {
+      throw new Error(`Custom ApiKey type must match ${customTypeRegex}`)
+    }
+    return addKeyType(keyType)
+  }
+
+  function addKeyType ({ type, displayName = type, secret = true, envs = null, deprecated = false }) {
+    if (registeredKeyTypes.has(type)) throw new Error(`ApiKey type ${type} is already registered`)
+    if (typeof displayName !== 'string' || !displayName) {
+      throw new Error('ApiKey type display name is expected to be a non-empty string')
+    }
+    if (typeof secret !== 'boolean' || typeof deprecated !== 'boolean') {
+      throw new Error('Boolean secret and deprecated ApiKey type options expected')
+    }
+    if (envs !== null && (
+      !Array.isArray(envs) || !envs.length || envs.some(env => !env || typeof env !== 'string')
+    )) {
+      throw new Error('ApiKey type envs option is expected to be a non-empty array of strings')
+    }
+    const allowedEnvs = envs && envs.map(validateEnv)
+
+    registeredKeyTypes.set(type, {
+      type,
+      displayName,
+      secret,
+      envs: allowedEnvs,
+      deprecated,
+      registered: true
+    })
+
+    return getKeyType(type)
+  }
+
+  /**
+   * Returns metadata of key `type`, or undefined if `type` is neither registered
+   * nor a valid custom type.
+   * @param  {String} type
+   * @return {Object} `{ type, displayName, secret, envs, deprecated, registered }`
+   */
+  function getKeyType (type) {
+    const keyType = registeredKeyTypes.get(type)
+    if (keyType) return { ...keyType, envs: keyType.envs && [...keyType.envs] }
+
+    try {
+      return getUnregisteredKeyType(validateKeyType(type))
+    } catch (e) {}
+  }
+
+  /**
+   * Returns all registered key types, built-in types first.
+   * @return {Array<Object>}
+   */
+  function getKeyTypes () {
+    return [...registeredKeyTypes.keys()].map(getKeyType)
+  }
+
+  function isEnvAllowed (keyType, env) {
+    return !keyType.envs || keyType.envs.includes(env)
+  }
+
+  /**
+   * Generate API key with appropriate info and random characters,
+   * followed by a base62-encoded CRC32 checksum of all preceding characters
+   * so that mistyped or truncated keys can be rejected without any lookup.
+   * Throws if `type` is deprecated or does not allow `env`, see registerKeyType.
+   * @param  {String} type - '(sec|pub)k' built-in type, or custom user type [a-z\d]{5,10}
+   * @param  {String} env - registered env such as 'live' or 'test'
+   * @param  {String} platformId - Platform Id string integer
+   * @param  {String} [zone=defaultZone] - one of allowed zones such as 'e', see createGenerator
+   * @param  {Number} [version=latestKeyVersion] - format version, see keyLayouts
+   * @param  {Boolean} [widePlatform] - use wide 5-char platformId part, making key one char longer.
+   *   Defaults to true for platformIds greater than maxPlatformId.
+   * @param  {Date|Number} [expiresAt] - expiry time as Date or milliseconds, encoded in key
+   *   with 1-second precision so that expired keys can be rejected without any lookup.
+   *   Keys don't expire by default.
+   * @param  {Object} [signingSecret] - `{ keyId, secret }` server-side secret used to embed
+   *   a truncated HMAC-SHA256 signature, so that keys can be authenticated offline
+   *   with verifyKeySignature. `keyId` is a single base62 char identifying the secret during rotation.
+   *   Requires Node crypto module.
+   * @return {String}
+   */
+  async function generateKey (options) {
+    return runTask(generateKeyTask(options))
+  }
+
+  /**
+   * Synchronous version of generateKey.
+   * @param  {Object} options - see generateKey
+   * @return {String}
+   */
+  function generateKeySync (options) {
+    return runTaskSync(generateKeyTask(options))
+  }
+
+  /**
+   * Generates a pair of secret ('seck') and publishable ('pubk') API keys sharing
+   * the same random non-secret link, so that keys of the same pair can be matched
+   * with areKeysPaired from key strings alone.
+   * @param  {String} env - registered env such as 'live' or 'test'
+   * @param  {String} platformId - Platform Id string integer
+   * @param  {String} [zone=defaultZone] - one of allowed zones such as 'e', see createGenerator
+   * @param  {Object} [...options] - other generateKey options applying to both keys,
+   *   such as `expiresAt`
+   * @return {Object} `{ secretKey, publishableKey }`
+   */
+  async function generateKeyPair (options) {
+    return runTask(generateKeyPairTask(options))
+  }
+
+  /**
+   * Synchronous version of generateKeyPair.
+   * @param  {Object} options - see generateKeyPair
+   * @return {Object}
+   */
+  function generateKeyPairSync (options) {
+    return runTaskSync(generateKeyPairTask(options))
+  }
+
+  function * generateKeyPairTask ({ env, platformId, zone, ...options } = {}) {
+    const link = yield * getRandomStringTask(linkLength)
+
+    return {
+      secretKey: yield * generateKeyTask({ ...options, type: 'seck', env, platformId, zone }, { link }),
+      publishableKey: yield * generateKeyTask({ ...options, type: 'pubk', env, platformId, zone }, { link })
+    }
+  }
+
+  function * generateKeyTask ({
     type,
-    env
-  } = parsedKey
+    env,
+    platformId,
+    zone = platformZone,
+    version = latestKeyVersion,
+    widePlatform,
+    expiresAt,
+    signingSecret
+  }, { link } = {}) {
+    const validType = validateKeyType(type)
+    if (typeof platformId !== 'string') {
+      throw new Error('Platform id is expected to be a string')
+    }
+    if (platformId !== '' + parseInt(platformId, 10)) {
+      throw new Error('Platform id is expected to be a string integer')
+    }
+
+    const encodedExpiry = typeof expiresAt === 'undefined' ? null : encodeKeyExpiry(expiresAt)
+    const signing = typeof signingSecret === 'undefined' ? null : validateSigningSecret(signingSecret)
+    const layout = getKeyLayout(version, {
+      widePlatform: typeof widePlatform === 'boolean'
+        ? widePlatform
+        : parseInt(platformId, 10) > maxPlatformId,
+      extended: !!(encodedExpiry || link || signing)
+    })
+    const keyType = getKeyType(validType)
+
+    if (typeof env !== 'string') {
+      throw new Error('Environment is expected to be a string')
+    }
+    const validEnv = validateEnv(env)
+    if (keyType.deprecated) {
+      throw new Error(`ApiKey type ${validType} is deprecated`)
+    }
+    if (!isEnvAllowed(keyType, validEnv)) {
+      throw new Error(`ApiKey type ${validType} is only allowed in ${keyType.envs.join(', ')} envs`)
+    }
+
+    const baseString = `${validType.substring(0, typeMaxLength)}_${validEnv}_${layout.versionChar}`
+
+    // Keep one char for platform zone
+    const randomCharsNeeded = keyLength - platformPartLength
+    const randomString = yield * getRandomStringTask(randomCharsNeeded)
+    const encodedPlatformId = encodePlatformId({
+      platformId,
+      shuffler: randomString.slice(-3),
+      length: layout.platformPartLength - 1
+    })
+
+    const platformString = formatPlatformZone({ env: validEnv, zone }) + encodedPlatformId
+
+    let str = baseString +
+      randomString.substring(0, platformPartIndex) +
+      platformString +
+      randomString.substring(platformPartIndex)
+
+    if (encodedExpiry) str += keyExtensions.expiry.tag + encodedExpiry
+    if (link) str += keyExtensions.link.tag + link
+    if (signing) {
+      str += keyExtensions.signature.tag + signing.keyId
+      str += computeKeySignature(str, signing.secret)
+    }
+
+    return str + getKeyChecksum(str)
+  }
+
+  /**
+   * Returned extracted information from API `key`. Note that it does not throw and rather sets
+   * `hasValidFormat` value to false in returned object if `key` format is invalid.
+   * Format version of `key` is detected, and v3 keys generated before checksum introduction
+   * are still parsed, with `hasChecksum` set to false. Truncated or padded keys are rejected,
+   * unless their length is one of legacy keys.
+   * When present, checksum must be valid for `hasValidFormat` to be true.
+   * `keyType` metadata is returned for valid types, and `env` must be registered, allowed by key type
+   * and consistent with platform zone case, upper-cased in live envs.
+   * `signingKeyId` of signed keys is returned but signature is not checked, see verifyKeySignature.
+   * `expiresAt` is null for keys without expiry, and `isExpired` is computed with `now` clock.
+   * Expired keys can still have a valid format.
+   * `link` is null for keys that were not generated with generateKeyPair.
+   * @param  {String} key
+   * @return {Object} `{ type, keyType, env, platformId, zone, region, version, signingKeyId,
+   *   expiresAt, isExpired, link, hasChecksum, hasValidChecksum, hasValidFormat }`,
+   *   see getKeyType for `keyType` metadata
+   */
+  function parseKey (key) {
+    let hasValidFormat = false
+    if (typeof key !== 'string') return { hasValidFormat }
+
+    const parts = key.split('_')
+    if (parts.length !== 3) return { hasValidFormat }
+
+    let platformId
+    let type = parts[0]
+    const env = normalizeEnv(parts[1])
+    let randomString = parts[2]
+
+    const layout = detectKeyLayout(randomString)
+    const extensionsLength = layout.extended ? randomString.length - layout.length : 0
+    const hasChecksum = randomString.length === layout.length + extensionsLength
+    // Legacy v3 keys generated before checksum introduction can have various lengths, up to keyLength,
+    // while longer keys have a checksum and possibly a version char, and must match their layout length
+    const hasValidLength = hasChecksum ||
+      (randomString.length >= legacyKeyMinLength && randomString.length <= keyLength)
+
+    let hasValidChecksum = false
+    let extensions = {}
+    if (hasChecksum) {
+      const checksum = randomString.slice(-checksumLength)
+      hasValidChecksum = getKeyChecksum(key.slice(0, -checksumLength)) === checksum
+      const extensionsIndex = randomString.length - checksumLength - extensionsLength
+
+      extensions = parseKeyExtensions(randomString.slice(extensionsIndex, -checksumLength))
+      randomString = randomString.slice(layout.versionChar.length, extensionsIndex)
+    }
+    const signingKeyId = extensions && extensions.signature ? extensions.signature.charAt(0) : null
+    const expiresAt = extensions && extensions.expiry ? decodeKeyExpiry(extensions.expiry) : null
+    const link = (extensions && extensions.link) || null
+
+    const zoneChar = randomString.charAt(platformPartIndex) || ''
+    const zone = zoneChar.toLowerCase()
+    const encodedPlatformId = randomString.slice(
+      platformPartIndex,
+      platformPartIndex + layout.platformPartLength
+    )
+    const shuffler = randomString.slice(-3)
+
+    try {
+      type = validateKeyType(type)
+      platformId = extractEncodedPlatformId(encodedPlatformId, { shuffler })
+    } catch (e) {}
+
+    const keyType = getKeyType(type) || null
+
+    hasValidFormat = [type, env, platformId, zone].every(i => !!i) &&
+      hasValidLength && (!hasChecksum || hasValidChecksum) &&
+      !!extensions && (!extensions.expiry || !!expiresAt) &&
+      !!keyType && isEnvAllowed(keyType, env) &&
+      isLiveEnv(env) === (zoneChar !== zone)
+
+    return {
+      type,
+      keyType,
+      env,
+      platformId,
+      zone,
+      region: getZoneRegion(zone),
+      version: layout.version,
+      signingKeyId,
+      expiresAt,
+      isExpired: !!expiresAt && expiresAt.getTime() <= now(),
+      link,
+      hasChecksum,
+      hasValidChecksum,
+      hasValidFormat
+    }
+  }
+
+  /**
+   * Checks if API keys `a` and `b` were generated together with generateKeyPair,
+   * sharing the same link, platform, zone and env. Never throws for invalid keys.
+   * @param  {String} a
+   * @param  {String} b
+   * @return {Boolean}
+   */
+  function areKeysPaired (a, b) {
+    const parsedA = parseKey(a)
+    const parsedB = parseKey(b)
+    if (!parsedA.hasValidFormat || !parsedB.hasValidFormat || !parsedA.link) return false
+
+    return parsedA.type !== parsedB.type &&
+      ['link', 'platformId', 'zone', 'env'].every(field => parsedA[field] === parsedB[field])
+  }
 
-  return `${type}_${env}_`
+  /**
+   * Checks signature embedded in API `key` with the secret having the same key ID,
+   * so that keys can be authenticated without any lookup, see generateKey `signingSecret` option.
+   * Several secrets can be active during rotation.
+   * Signatures are compared in constant time.
+   * Never throws for invalid keys, and returns false if `key` is not signed.
+   * Requires Node crypto module.
+   * @param  {String} key
+   * @param  {Array<Object>} secrets - `{ keyId, secret }` objects
+   * @return {Boolean}
+   */
+  function verifyKeySignature (key, secrets) {
+    if (!Array.isArray(secrets)) throw new Error('Array of signing secrets expected')
+    const signingSecrets = secrets.map(validateSigningSecret)
+
+    const { signingKeyId, hasValidFormat } = parseKey(key)
+    if (!hasValidFormat || !signingKeyId) return false
+
+    const signingSecret = signingSecrets.find(({ keyId }) => keyId === signingKeyId)
+    if (!signingSecret) return false
+
+    const signatureIndex = key.length - checksumLength - signatureLength
+    const signature = key.slice(signatureIndex, -checksumLength)
+    const expectedSignature = computeKeySignature(key.slice(0, signatureIndex), signingSecret.secret)
+
+    return nodeCrypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))
+  }
+
+  /**
+   * Returns “public” platform ID like `e11_live` of the platform API `key` belongs to,
+   * see generator parsePublicPlatformId.
+   * Throws if `key` format is invalid.
+   * @param  {String} key
+   * @return {String}
+   */
+  function getPublicPlatformIdFromKey (key) {
+    const { platformId, zone, env, hasValidFormat } = parseKey(key)
+    if (!hasValidFormat) throw new Error('Invalid ApiKey format')
+
+    return formatPublicPlatformId({ platformId, zone, env })
+  }
+
+  /**
+   * Returns regex matching candidate secret API keys of registered secret types in registered envs,
+   * to be used by secret-scanning tools.
+   * Unregistered custom types are not covered, use keyRegex and parseKey for those.
+   * @return {RegExp}
+   */
+  function getSecretKeyRegex () {
+    const secretTypes = getKeyTypes().filter(keyType => keyType.secret).map(keyType => keyType.type)
+    const envs = generator.platformEnvs
+
+    return new RegExp(`(?:${secretTypes.join('|')})_(?:${envs.join('|')})_${keyBodyPattern}`)
+  }
+
+  /**
+   * Locates API keys in `text`, only returning candidates with valid format according to parseKey.
+   * Keys can be glued to preceding chars, as in 'KEY_seck_live_…' or '%22seck_live_…'.
+   * @param  {String} text
+   * @return {Array<Object>} `{ key, start, end, parsedKey }` objects in order of appearance,
+   *   `end` being the index following last key char
+   */
+  function findKeysInText (text) {
+    if (typeof text !== 'string') throw new Error('String text expected')
+
+    const globalKeyRegex = new RegExp(keyRegex.source, 'g')
+    const keys = []
+    let match
+
+    while ((match = globalKeyRegex.exec(text))) {
+      const candidate = findValidKeyInCandidate(match[0])
+      if (!candidate) {
+        // candidate may start with chars preceding a key such as '22seck_live_…'
+        globalKeyRegex.lastIndex = match.index + 1
+        continue
+      }
+
+      const start = match.index + candidate.offset
+      keys.push({ key: candidate.key, start, end: start + candidate.key.length, parsedKey: candidate.parsedKey })
+    }
+
+    return keys
+  }
+
+  /**
+   * Returns valid key ending `candidate` matched by keyRegex, trying shorter type parts
+   * in case chars preceding key type were matched as well, e.g. 'nseck_live_…' after a literal '\n'.
+   * Registered key types are preferred over unregistered custom types.
+   * @param  {String} candidate
+   * @return {Object} `{ key, offset, parsedKey }`, undefined if there is no valid key
+   */
+  function findValidKeyInCandidate (candidate) {
+    const typeLength = candidate.indexOf('_')
+    const validKeys = []
+
+    for (let offset = 0; offset <= typeLength - typeMinLength; offset++) {
+      const key = candidate.slice(offset)
+      const parsedKey = parseKey(key)
+      if (parsedKey.hasValidFormat) validKeys.push({ key, offset, parsedKey })
+    }
+
+    return validKeys.find(({ parsedKey }) => parsedKey.keyType.registered) || validKeys[0]
+  }
+
+  /**
+   * Masks random part of API `key`, only keeping type, env and a short fingerprint
+   * made of base62-encoded CRC32 checksum of the whole key, so that redacted keys
+   * can still be told apart, e.g. 'seck_live_***4gfFC3'.
+   * Invalid keys are fully masked.
+   * @param  {String} key
+   * @return {String}
+   */
+  function redactKey (key) {
+    const { type, env, hasValidFormat } = parseKey(key)
+    if (!hasValidFormat) return redactedKeyMask
+
+    return `${type}_${env}_${redactedKeyMask}${getKeyChecksum(key)}`
+  }
+
+  /**
+   * Replaces all secret API keys found in `text` with redacted keys, see redactKey.
+   * Unregistered custom key types are considered secret.
+   * Random part of invalid keys matching getSecretKeyRegex is masked as well,
+   * so that truncated or mistyped secret keys don't leak, e.g. 'seck_live_***'.
+   * @param  {String} text
+   * @return {String}
+   */
+  function redactText (text) {
+    const secretKeys = findKeysInText(text)
+      .filter(({ parsedKey }) => parsedKey.keyType.secret)
+      .map(({ key, start, end }) => ({ start, end, redactedKey: redactKey(key) }))
+
+    const secretKeyRegex = new RegExp(getSecretKeyRegex().source, 'g')
+    let match
+    while ((match = secretKeyRegex.exec(text))) {
+      const start = match.index
+      const end = start + match[0].length
+      if (secretKeys.some(key => key.start < end && start < key.end)) continue
+
+      const [type, env] = match[0].split('_')
+      secretKeys.push({ start, end, redactedKey: `${type}_${env}_${redactedKeyMask}` })
+    }
+
+    let redactedText = ''
+    let index = 0
+    secretKeys.sort((a, b) => a.start - b.start).forEach(({ start, end, redactedKey }) => {
+      redactedText += text.slice(index, start) + redactedKey
+      index = end
+    })
+
+    return redactedText + text.slice(index)
+  }
+
+  function getBaseKey (key) {
+    const parsedKey = parseKey(key)
+    if (!parsedKey.hasValidFormat) return
+
+    const {
+      type,
+      env
+    } = parsedKey
+
+    return `${type}_${env}_`
+  }
+
+  return {
+    generateKey,
+    generateKeySync,
+    generateKeyPair,
+    generateKeyPairSync,
+    areKeysPaired,
+    parseKey,
+    verifyKeySignature,
+    getBaseKey,
+    getPublicPlatformIdFromKey,
+    findKeysInText,
+    redactKey,
+    redactText,
+    getSecretKeyRegex,
+    getKeyChecksum,
+    registerKeyType,
+    getKeyType,
+    getKeyTypes,
+
+    builtInTypes,
+    builtInKeyTypes,
+    checksumLength,
+    keyLayouts,
+    keyFeatureFlags,
+    keyExtensions,
+    latestKeyVersion,
+    typeMaxLength,
+    customTypeRegex,
+    keyRegex
+  }
 }
 
 module.exports = {
-  generateKey,
-  parseKey,
-  getBaseKey,
-
-  builtInTypes,
-  typeMaxLength,
-  customTypeRegex
+  ...createApiKey(),
+  createApiKey
 }
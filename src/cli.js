@@ -0,0 +1,261 @@
+const { createKeyUtils } = require('./keyUtils')
+const { version: packageVersion } = require('../package.json')
+
+const usage = `Usage: stelace-keys <command> [options]
+
+Commands:
+  generate-key         --type seck --env test --platform-id 12 [--zone e]
+                       [--format-version 4]
+                       [--wide-platform] [--expires-at 2030-01-01T00:00:00Z]
+  generate-id          --prefix ast [--platform-id 12] [--env test] [--zone e]
+                       [--separator _] [--format-version 4] [--monotonic]
+                       [--sortable] [--wide-platform] [--count 1]
+  inspect <value...>   detect and decode API key, object ID or public platform ID
+  random-platform-id   [--wide-platform=false] [--count 1]
+
+Options:
+  --json               print results as JSON, one per line
+  --stdin              batch mode reading one input per line from stdin:
+                       value to inspect, or JSON options merged into command options
+  --help               print this message
+  --version            print stelace-keys version
+`
+
+const booleanOptions = ['json', 'stdin', 'help', 'version', 'monotonic', 'sortable', 'widePlatform']
+const integerOptions = ['formatVersion', 'count']
+
+/**
+ * Parses command-line `args` into command, positional values and camelCased options.
+ * Both `--name value` and `--name=value` syntaxes are supported.
+ * @param  {Array<String>} args
+ * @return {Object} `{ command, values, options }`
+ */
+function parseArgs (args) {
+  const [command, ...values] = args.filter((arg, i) => {
+    return !arg.startsWith('--') && !isOptionValue(args, i)
+  })
+  const options = {}
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (!arg.startsWith('--')) continue
+
+    const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/)
+    const name = toCamelCase(rawName)
+
+    if (booleanOptions.includes(name)) {
+      options[name] = inlineValue !== 'false'
+      continue
+    }
+
+    const value = typeof inlineValue === 'string' ? inlineValue : args[++i]
+    if (typeof value !== 'string') throw new Error(`Missing value for --${rawName} option`)
+    options[name] = integerOptions.includes(name) ? parseInt(value, 10) : value
+  }
+
+  return { command, values, options }
+}
+
+function isOptionValue (args, index) {
+  const previousArg = args[index - 1]
+  if (!previousArg || !previousArg.startsWith('--') || previousArg.includes('=')) return false
+
+  return !booleanOptions.includes(toCamelCase(previousArg.slice(2)))
+}
+
+function toCamelCase (optionName) {
+  return optionName.replace(/-([a-z])/g, (m, letter) => letter.toUpperCase())
+}
+
+/**
+ * Runs `stelace-keys` command-line tool.
+ * @param  {Array<String>} args - command-line arguments, without node and script paths
+ * @param  {Object} io
+ * @param  {Stream} io.stdin - read in batch mode
+ * @param  {Stream} io.stdout
+ * @param  {Stream} io.stderr
+ * @param  {Object} [io.keyUtils] - object returned by createKeyUtils
+ * @return {Number} exit code
+ */
+async function runCli (args, { stdin, stdout, stderr, keyUtils = createKeyUtils() }) {
+  let parsedArgs
+  try {
+    parsedArgs = parseArgs(args)
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${usage}`)
+    return 2
+  }
+
+  const { command, values, options } = parsedArgs
+  const { json, stdin: batch, help, version, ...commandOptions } = options
+
+  if (version) {
+    stdout.write(`${packageVersion}\n`)
+    return 0
+  }
+  if (help || !command) {
+    ;(help ? stdout : stderr).write(usage)
+    return help ? 0 : 2
+  }
+
+  const commands = {
+    'generate-key': generateKey,
+    'generate-id': generateId,
+    inspect,
+    'random-platform-id': getRandomPlatformIds
+  }
+  if (!commands[command]) {
+    stderr.write(`Unknown command ${command}\n\n${usage}`)
+    return 2
+  }
+
+  const inputs = batch ? await readLines(stdin) : [null]
+  let exitCode = 0
+
+  for (const input of inputs) {
+    try {
+      const results = await commands[command](input, { values, options: commandOptions, keyUtils })
+      results.forEach(result => stdout.write(`${formatResult(result, { json })}\n`))
+    } catch (err) {
+      stderr.write(`${input === null ? '' : `${input}: `}${err.message}\n`)
+      exitCode = 1
+    }
+  }
+
+  return exitCode
+}
+
+async function generateKey (input, { options, keyUtils }) {
+  const {
+    type,
+    env,
+    platformId,
+    zone,
+    formatVersion: version,
+    widePlatform,
+    expiresAt
+  } = { ...options, ...parseInputOptions(input) }
+
+  return [await keyUtils.generateKey({
+    type,
+    env,
+    platformId,
+    zone,
+    version,
+    widePlatform,
+    expiresAt: typeof expiresAt === 'string' ? new Date(expiresAt) : expiresAt
+  })]
+}
+
+async function generateId (input, { options, keyUtils }) {
+  const {
+    zone: platformZone,
+    formatVersion: version,
+    count = 1,
+    ...idOptions
+  } = { ...options, ...parseInputOptions(input) }
+
+  if (typeof version !== 'undefined') idOptions.version = version
+  if (typeof idOptions.platformId === 'undefined') {
+    // wide platformIds are not available in v3 object IDs
+    const widePlatform = idOptions.widePlatform !== false && version !== 3
+    idOptions.platformId = keyUtils.getRandomPlatformId({ widePlatform })
+  }
+  if (typeof platformZone !== 'undefined') idOptions.platformZone = platformZone
+
+  return keyUtils.getObjectIds({ ...idOptions, count })
+}
+
+async function getRandomPlatformIds (input, { options, keyUtils }) {
+  const { count = 1, widePlatform } = { ...options, ...parseInputOptions(input) }
+  if (!Number.isInteger(count) || count < 1) throw new Error('Positive integer count option expected')
+
+  return Array.from(Array(count), () => keyUtils.getRandomPlatformId({ widePlatform }))
+}
+
+async function inspect (input, { values, keyUtils }) {
+  const inspectedValues = input === null ? values : [input]
+  if (!inspectedValues.length) throw new Error('Value to inspect expected')
+
+  return inspectedValues.map(value => {
+    const result = inspectValue(value, keyUtils)
+    if (!result) throw new Error(`Unknown format for ${value}`)
+    return result
+  })
+}
+
+/**
+ * Detects whether `value` is an API key, an object ID or a public platform ID,
+ * and returns its decoded fields.
+ * @param  {String} value
+ * @param  {Object} keyUtils
+ * @return {Object} `{ value, kind, ...fields }`, undefined if format is unknown
+ */
+function inspectValue (value, { parseKey, parseObjectId, parsePublicPlatformId }) {
+  const parsedKey = parseKey(value)
+  if (parsedKey.hasValidFormat) {
+    const { keyType, hasValidFormat, expiresAt, ...fields } = parsedKey
+    return {
+      value,
+      kind: 'key',
+      ...fields,
+      expiresAt: expiresAt && expiresAt.toISOString(),
+      displayName: keyType.displayName,
+      secret: keyType.secret,
+      deprecated: keyType.deprecated
+    }
+  }
+
+  const parsedObjectId = parseObjectId(value)
+  if (parsedObjectId.hasValidFormat) {
+    const { hasValidFormat, errors, ...fields } = parsedObjectId
+    return {
+      value,
+      kind: 'objectId',
+      ...fields,
+      createdAt: new Date(fields.timestampMs).toISOString()
+    }
+  }
+
+  const parsedPublicPlatformId = parsePublicPlatformId(value)
+  if (parsedPublicPlatformId.hasValidFormat) {
+    const { hasValidFormat, ...fields } = parsedPublicPlatformId
+    return { value, kind: 'publicPlatformId', ...fields }
+  }
+}
+
+function parseInputOptions (input) {
+  if (input === null) return {}
+
+  let inputOptions
+  try {
+    inputOptions = JSON.parse(input)
+  } catch (e) {}
+
+  if (!inputOptions || typeof inputOptions !== 'object' || Array.isArray(inputOptions)) {
+    throw new Error('JSON object of options expected')
+  }
+  return inputOptions
+}
+
+function formatResult (result, { json }) {
+  if (json) return JSON.stringify(result)
+  if (typeof result === 'string') return result
+
+  const { value, ...fields } = result
+  return [value, ...Object.keys(fields).map(name => `  ${name}: ${fields[name]}`)].join('\n')
+}
+
+async function readLines (stream) {
+  let content = ''
+  stream.setEncoding('utf8')
+  for await (const chunk of stream) content += chunk
+
+  return content.split(/\r?\n/).map(line => line.trim()).filter(line => !!line)
+}
+
+module.exports = {
+  runCli,
+  parseArgs,
+  inspectValue
+}
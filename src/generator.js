@@ -1,23 +1,51 @@
-const crypto = require('crypto')
+/* global globalThis */
+const nodeCrypto = require('crypto') // empty object in browser bundles, see package.json
 const escapeStringRegexp = require('escape-string-regexp')
 
 const base62 = require('base62/lib/custom')
+
+const { setGeneratorInternals, getGeneratorInternals } = require('./internals')
+
 /** Preserves ASCII sorting order
  * @constant {String}
  */
 const base62Chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
 const base62Index = base62.indexCharset(base62Chars)
 
+/** Named alphabets random strings can be made of
+ * @constant {Object}
+ */
+const randomAlphabets = {
+  base62: base62Chars,
+  base58: '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz', // no 0OIl
+  crockford32: '0123456789ABCDEFGHJKMNPQRSTVWXYZ' // no ILOU
+}
+const defaultAlphabet = 'base62'
+
 const defaultPrefix = ''
 const defaultSeparator = '_'
 
-/** Lowercase single-char platform zones, mapping to server regions
- * @constant {Array}
+/**
+ * Default registry of platform environments, stating which ones are live environments.
+ * @constant {Object}
+ */
+const defaultEnvs = {
+  live: { isLive: true },
+  test: { isLive: false }
+}
+
+/** Lowercase single-char platform zones, mapping to server regions.
+ * Can be overridden with createGenerator `zones` option.
+ * @constant {Object}
  */
-const platformZones = ['e', 's']
-if (!platformZones.every((sep) => sep.length === 1 && sep === sep.toLowerCase())) {
-  throw new Error('All platformZones should have a single char')
+const defaultZones = {
+  e: 'eu-west-1',
+  s: 'ap-southeast-1'
 }
+// Environment variable explicitly setting default zone, such as 'e'
+const zoneEnvVar = 'STELACE_PLATFORM_ZONE'
+// Cloud provider environment variables holding server region name, by priority
+const regionEnvVars = ['AWS_REGION', 'AWS_DEFAULT_REGION']
 
 const encodedPlatformIdStringLength = 4
 const platformPartLength = encodedPlatformIdStringLength + 1 // including zone
@@ -25,32 +53,273 @@ const platformIdBase = Math.pow(62, 3) - 1 // ensuring it is encoded in 4 chars
 const maxPlatformId = Math.pow(62, 4) - 1 - base62.decode('zzz', base62Index) - platformIdBase
 // max 'z000' to allow masking up to '0zzz'
 
-const objectIdLength = 24
-// High enough to generate 14,000,000+ platforms,
-// with low collision risk each second across platform objects of the same type.
-// Please refer to README for more math details.
+// Wide platform part is used for platformIds that can't be encoded in 4 chars
+const wideEncodedPlatformIdStringLength = 5
+const widePlatformPartLength = wideEncodedPlatformIdStringLength + 1 // including zone
+const widePlatformIdBase = Math.pow(62, 4) - 1 // ensuring it is encoded in 5 chars
+const maxWidePlatformId = Math.pow(62, 5) - 1 - base62.decode('zzz', base62Index) - widePlatformIdBase
+
 const objectIdTimestampLength = 6
 // (Math.pow(62, 6) - 1) seconds from epoch is 3769-12-05T03:13:03.499Z
+const monotonicTimestampLength = 8
+// (Math.pow(62, 8) - 1) milliseconds from epoch is year 8888
+const monotonicCounterLength = 2
+const maxMonotonicCounter = Math.pow(62, monotonicCounterLength) - 1
+
+/** Object ID layouts by format version. Object IDs generated before versioning have no version
+ * char and are detected with their 24-char length, while newer object IDs end with version char.
+ * Length is high enough to generate 14,000,000+ platforms with 4-char platformId part,
+ * with low collision risk each second across platform objects of the same type.
+ * Larger platformIds are encoded in a wide 5-char platformId part, making object IDs one char longer.
+ * Please refer to README for more math details.
+ * @constant {Object}
+ */
+const objectIdLayouts = {
+  3: { version: 3, length: 24, versionChar: '', sortable: false, ...getTimestampLayout(), ...getPlatformLayout() },
+  4: {
+    version: 4,
+    length: 25,
+    versionChar: encodeFormatVersion(4),
+    sortable: false,
+    ...getTimestampLayout(),
+    ...getPlatformLayout()
+  }
+}
+/** Opt-in object ID layout features, encoded in version char along with format version
+ * as `version + 8 * flags`, so that version char is unchanged when no feature is used.
+ * - monotonic: 8-char millisecond timestamp and 2-char counter ordering object IDs
+ *   generated during the same millisecond
+ * - sortable: unmasked zone, platformId and timestamp right after prefix, followed by random chars,
+ *   so that object IDs of the same platform can be ordered lexicographically by creation time
+ * - widePlatform: 5-char platformId part, for platformIds greater than maxPlatformId
+ * @constant {Object}
+ */
+const objectIdFeatureFlags = {
+  monotonic: 1,
+  sortable: 2,
+  widePlatform: 4
+}
+const latestObjectIdVersion = 4
+const objectIdLength = objectIdLayouts[latestObjectIdVersion].length
+
+// Generation options that can be registered along with object type prefix
+const objectTypeOptionNames = ['separator', 'version', 'monotonic', 'sortable', 'widePlatform']
+
+// Successive duplicates in a batch of object IDs only happen with a broken random source
+const maxSuccessiveObjectIdDuplicates = 10
+
+// Web Crypto getRandomValues can't fill more bytes at once
+const maxWebRandomBytes = 65536
+
+/**
+ * Returns cryptographically secure random bytes, using Node crypto module when available,
+ * and falling back to Web Crypto `globalThis.crypto.getRandomValues` in browsers and edge runtimes.
+ * @param {Number} length
+ * @return {Uint8Array} Buffer with Node crypto module
+ */
+function getRandomBytesSync (length) {
+  if (typeof nodeCrypto.randomBytes === 'function') return nodeCrypto.randomBytes(length)
+
+  const webCrypto = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined
+  if (!webCrypto || typeof webCrypto.getRandomValues !== 'function') {
+    throw new Error('No secure random source available')
+  }
+
+  const bytes = new Uint8Array(length)
+  for (let i = 0; i < length; i += maxWebRandomBytes) {
+    webCrypto.getRandomValues(bytes.subarray(i, i + maxWebRandomBytes))
+  }
+  return bytes
+}
+
+/**
+ * Async version of getRandomBytesSync, not blocking event loop with Node crypto module.
+ * @param {Number} length
+ * @return {Promise<Uint8Array>}
+ */
+function getRandomBytes (length) {
+  if (typeof nodeCrypto.randomBytes !== 'function') {
+    return new Promise(resolve => resolve(getRandomBytesSync(length)))
+  }
+
+  return new Promise((resolve, reject) => {
+    nodeCrypto.randomBytes(length, (err, buffer) => {
+      if (err) reject(new Error('Error when generating random bytes'))
+      else resolve(buffer)
+    })
+  })
+}
+
+/**
+ * Source of cryptographically secure random bytes used by default.
+ * Random sources provide `getRandomBytesSync(length)` function returning a Uint8Array,
+ * and can provide async `getRandomBytes(length)` version as well.
+ * @constant {Object}
+ */
+const secureRandomSource = {
+  getRandomBytes,
+  getRandomBytesSync
+}
+let defaultRandomSource = secureRandomSource
 
 /**
- * Async function returning a random string, made of base64 chars except for '+' and '/'
- * replaced by 0.
- * replaceRegex and replacement can be provided but you
- * should make sure length remains the same after String.replace is run, since the function
- * only checks that replacement is not falsy when replaceRegex is provided.
- *
- * http://blog.tompawlak.org/how-to-generate-random-values-nodejs-javascript
- * @param {Number} length - length to reach
+ * Sets random source used by module-level generators and generators created
+ * without `randomSource` option, such as a seeded source for reproducible output in tests.
+ * @param {Object} [randomSource=secureRandomSource] - resets secure random source if omitted
+ */
+function setDefaultRandomSource (randomSource = secureRandomSource) {
+  defaultRandomSource = validateRandomSource(randomSource)
+}
+
+function validateRandomSource (randomSource) {
+  if (!randomSource || typeof randomSource.getRandomBytesSync !== 'function') {
+    throw new Error('Random source with getRandomBytesSync function expected')
+  }
+  if (randomSource.seeded && !randomSource.allowInProduction && isProduction()) {
+    throw new Error('Seeded random source is not allowed in production, unless created with allowInProduction option')
+  }
+  return randomSource
+}
+
+function isProduction () {
+  return getProcessEnv().NODE_ENV === 'production'
+}
+
+function getProcessEnv () {
+  return (typeof process !== 'undefined' && process.env) || {}
+}
+
+/**
+ * Resolves default zone from environment variables: zone explicitly set in zoneEnvVar,
+ * or zone mapped to server region set in one of regionEnvVars such as AWS_REGION.
+ * Falls back to first zone of the registry, unless `strict` is true.
+ * Throws if zone explicitly set is not registered, so that a typo can't go unnoticed,
+ * unless `ignoreUnknownZone` is true and `strict` is false.
+ * @param {Object} zones - zone registry, see createGenerator
+ * @param {Object} options
+ * @param {Object} options.processEnv - environment variables
+ * @param {Boolean} options.strict - throw if default zone can't be resolved from environment variables
+ * @param {Boolean} [options.ignoreUnknownZone=false] - skip zone explicitly set if not registered,
+ *   e.g. when it is meant for a custom zone registry
+ * @return {Object} `{ zone, source }`, `source` being the variable name zone was resolved from,
+ *   or 'default' when using fallback
+ */
+function resolveDefaultZone (zones, { processEnv, strict, ignoreUnknownZone = false }) {
+  const platformZones = Object.keys(zones)
+
+  const explicitZone = processEnv[zoneEnvVar]
+  if (explicitZone) {
+    const zone = explicitZone.toLowerCase()
+    if (platformZones.includes(zone)) return { zone, source: zoneEnvVar }
+
+    if (strict || !ignoreUnknownZone) {
+      throw new Error(`${zoneEnvVar} is expected to be one of ${platformZones.join(', ')} platform zones`)
+    }
+  }
+
+  for (const regionEnvVar of regionEnvVars) {
+    const region = processEnv[regionEnvVar]
+    const zone = region && platformZones.find(zone => zones[zone] === region)
+    if (zone) return { zone, source: regionEnvVar }
+  }
+
+  if (strict) {
+    throw new Error(`Default platform zone can’t be resolved from ${[zoneEnvVar, ...regionEnvVars].join(', ')}`)
+  }
+  return { zone: platformZones[0], source: 'default' }
+}
+
+/**
+ * Returns a deterministic random source for tests and seed scripts,
+ * generating the same bytes sequence for the same `seed` (sfc32 PRNG seeded with xmur3 hash).
+ * Never use it to generate real keys: it is not cryptographically secure
+ * and it is refused in production (`NODE_ENV=production`) unless `allowInProduction` is true.
+ * @param {String|Number} seed - string or integer
  * @param {Object} [options]
- * @param {String} [options.prefix]
- * @param {String} [options.separator='_'] - separator between the prefix and random chars
- * @param {Regex|String} [options.replaceRegex] - to ban some chars from output
- * @param {String|Function} [options.replacement] - can’t be falsy
- * @return {String}
+ * @param {Boolean} [options.allowInProduction=false]
+ * @return {Object} random source
  */
-async function getRandomString (length, {
+function createSeededRandomSource (seed, { allowInProduction = false } = {}) {
+  if (typeof seed !== 'string' && !Number.isInteger(seed)) {
+    throw new Error('String or integer seed expected')
+  }
+  let state = hashSeed(String(seed))
+
+  function getRandomBytesSync (length) {
+    const bytes = new Uint8Array(length)
+
+    for (let i = 0; i < length; i += 4) {
+      const [a, b, c, d] = state
+      const value = (((a + b) | 0) + d) | 0
+      state = [b ^ (b >>> 9), (c + (c << 3)) | 0, (((c << 21) | (c >>> 11)) + value) | 0, (d + 1) | 0]
+
+      for (let j = 0; j < 4 && i + j < length; j++) bytes[i + j] = (value >>> (8 * j)) & 0xFF
+    }
+
+    return bytes
+  }
+
+  return {
+    getRandomBytesSync,
+    seeded: true,
+    allowInProduction
+  }
+}
+
+function hashSeed (seed) {
+  let h = 1779033703 ^ seed.length
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353)
+    h = (h << 13) | (h >>> 19)
+  }
+
+  return [0, 0, 0, 0].map(() => {
+    h = Math.imul(h ^ (h >>> 16), 2246822507)
+    h = Math.imul(h ^ (h >>> 13), 3266489909)
+    h ^= h >>> 16
+    return h >>> 0
+  })
+}
+
+/**
+ * Runs generator function `task` asynchronously, providing random bytes it needs:
+ * `task` yields the number of random bytes needed and receives a Uint8Array in return.
+ * This lets async and sync versions of generators share the same implementation.
+ * @param {Generator} task
+ * @param {Object} [randomSource] - default random source if omitted, see setDefaultRandomSource
+ * @return {Promise} resolving to `task` return value
+ */
+async function runTask (task, randomSource = defaultRandomSource) {
+  let step = task.next()
+
+  while (!step.done) {
+    const randomBytes = randomSource.getRandomBytes
+      ? await randomSource.getRandomBytes(step.value)
+      : randomSource.getRandomBytesSync(step.value)
+    step = task.next(randomBytes)
+  }
+
+  return step.value
+}
+
+/**
+ * Runs generator function `task` synchronously, see runTask.
+ * @param {Generator} task
+ * @param {Object} [randomSource] - default random source if omitted, see setDefaultRandomSource
+ * @return {*} `task` return value
+ */
+function runTaskSync (task, randomSource = defaultRandomSource) {
+  let step = task.next()
+
+  while (!step.done) step = task.next(randomSource.getRandomBytesSync(step.value))
+
+  return step.value
+}
+
+function * getRandomStringTask (length, {
   prefix = defaultPrefix,
   separator = defaultSeparator,
+  alphabet = defaultAlphabet,
   replaceRegex,
   replacement
 } = {}) {
@@ -60,57 +329,76 @@ async function getRandomString (length, {
   if (!!replaceRegex !== !!replacement) { // XOR negation: can’t have 1 falsy when the other is not
     throw new Error('Both of replaceRegex and replacement optional parameters expected')
   }
+  const chars = getAlphabetChars(alphabet)
   const charsNeeded = getCharsNeededAfterPrefix({ length, prefix, separator })
   let randomString = prefix ? prefix + separator : ''
 
   if (charsNeeded <= 0) return randomString
 
-  const randomArray = await new Promise((resolve, reject) => {
-    crypto.randomBytes(Math.ceil(charsNeeded * 3 / 4), (err, buffer) => {
-      if (err) reject(new Error('Error when generating random bytes'))
-      else resolve(buffer)
-    })
-  })
+  // Bytes greater than or equal to the highest multiple of alphabet length are rejected
+  // to prevent modulo bias
+  const maxByte = 256 - (256 % chars.length)
+  let charsLeft = charsNeeded
+
+  while (charsLeft > 0) {
+    // Requesting a few more bytes than statistically needed to avoid another round
+    const randomArray = yield Math.ceil(charsLeft * 1.1 * 256 / maxByte)
 
-  randomString += randomArray.toString('base64')
-    .slice(0, charsNeeded)
-    .replace(/\+/g, '0')
-    .replace(/\//g, '0')
+    for (let i = 0; i < randomArray.length && charsLeft > 0; i++) {
+      if (randomArray[i] >= maxByte) continue
+      randomString += chars[randomArray[i] % chars.length]
+      charsLeft--
+    }
+  }
 
   if (replaceRegex) randomString = randomString.replace(replaceRegex, replacement)
 
   return randomString
 }
 
+/**
+ * Returns RegExp matching strings returned by getRandomString with the same options.
+ * @param {Number} [length=1]
+ * @param {Object} [options]
+ * @param {String} [options.prefix]
+ * @param {String} [options.separator='_']
+ * @param {String} [options.alphabet='base62']
+ * @return {RegExp}
+ */
 function getRandomStringRegex (length = 1, {
   prefix = defaultPrefix,
-  separator = defaultSeparator
+  separator = defaultSeparator,
+  alphabet = defaultAlphabet
 } = {}) {
   const charsNeeded = getCharsNeededAfterPrefix({ length, prefix, separator })
   if ([prefix, separator].some(s => typeof s !== 'string')) {
     throw new Error('String prefix options expected')
   }
+  const chars = getAlphabetChars(alphabet)
+  const charClass = chars === base62Chars ? 'a-zA-Z0-9' : escapeStringRegexp(chars)
   const escapedBase = escapeStringRegexp(prefix ? prefix + separator : '')
-  return new RegExp(`^${escapedBase}[a-zA-Z0-9]{${charsNeeded}}$`)
+  return new RegExp(`^${escapedBase}[${charClass}]{${charsNeeded}}$`)
+}
+
+function getAlphabetChars (alphabet) {
+  const chars = randomAlphabets[alphabet] || alphabet
+  if (typeof chars !== 'string' || chars.length < 2 || chars.length > 256) {
+    throw new Error('Alphabet is expected to be a named alphabet or a string of 2 to 256 chars')
+  }
+  if (new Set(chars).size !== chars.length) {
+    throw new Error('Alphabet is expected to have distinct chars')
+  }
+  return chars
 }
 
 function getCharsNeededAfterPrefix ({ length, prefix, separator }) {
   return prefix ? (length - prefix.length - separator.length) : length
 }
 
-/**
- * Async function returning string of given length with (pre|suf)fix random chars
- * @param {String} base - base string
- * @param {Number} length - length to reach
- * @param {Object} [options]
- * @param {String} [options.position=right] - position of the random characters ('left' -> before the base)
- * @param {Object} [options.randomOptions] - options accepted by getRandomString called internally
- * @return {String}
- */
-async function padWithRandomChars (base, length, { position = '', randomOptions = {} } = {}) {
+function * padWithRandomCharsTask (base, length, { position = '', randomOptions = {} } = {}) {
   const diffLength = length - base.length
 
-  const randomString = await getRandomString(diffLength, { ...randomOptions })
+  const randomString = yield * getRandomStringTask(diffLength, { ...randomOptions })
   let str = ''
 
   if (position === 'left') {
@@ -122,209 +410,290 @@ async function padWithRandomChars (base, length, { position = '', randomOptions
   return str
 }
 
-/**
- * Async function returning a new objectId with model prefix, base-64 encoded platformId
- * random chars, and some magic to ensure ids of the same type can be differentiated easily
- * on the same platform.
- * Outputs 24-char object ids with 7 parts:
- *
- * - A: 3/4 char-long prefix (preferably 3 for numerous resources like ast or evt)
- * - B: underscore
- * - C: 5 or 6 random base62 equivalent chars generated by crypto module
- * - D: server zone ('e' -> EU), uppercase if env is 'live'
- * - E: 4 chars dedicated to platformId integer encoded in base62, and masked with G (see below)
- *   starting from '1000' = 238328 (62^3)
- *   up to 'z000' = 14776335 - 238327 = 14538008
- *   (in case shuffler reaches its max 'zzz' = 61*62^2 + 61*62^1 + 61*62^0 = 238327)
- *   which makes 14538008 - 238328 + 1 = 14299681 platforms…
- * - F: 6 chars for UNIX timestamp integer encoded in base 62
- *   (enough for more than 1000 years)
- *   We use some masking again to ensure ids can be differentiated easily.
- * - G: 3 last chars are a random base62 shuffler added to platformId (D) as a 'XYZ' mask.
- *   This avoids having 4 constant characters, so ids can still be differentiated easily on same platform.
- *   For instance:
- *   platformId 384130 '1bve'
- *   can be turned into   '2awd' if mask is 'z0z'
- *   or                   '1bwf' if mask is '011'
- *
- * Example:
- * ast _ 2l7fQp s 1I3a 1gJYz2 I3a
- * A   B C      D E    F      G
- *
- * This makes it easy to sort by env code + platformId + (approximated) createdDate.
- * Note that ABC is 10-char long.
- *
- * 5 Built-in pieces of info (object, zone, liveEnv, platformId, timestamp) can have various use cases:
- * - Monitoring: provide help (e.g. missing publishable key) or qualify basic attacks
- * - Optimization: reject invalid keys as soon as touching our servers to avoid useless DB queries
- * - Analytics/Big data with ids only (e.g. date range aggregation for visualisation)
- *
- * @param {Object} [options]
- * @param {String} options.prefix - before default separator
- * @param {String} [options.separator='_'] - separator between the prefix and random chars
- * @param {String} [options.platformId]
- * @param {String} [options.env] - platform environment such as 'live'
- * @param {String} [options.platformZone=platformZones[0]]
- * @return {String}
- */
-async function getObjectId ({
-  prefix,
-  separator = defaultSeparator,
-  platformId,
-  env = 'test',
-  platformZone = platformZones[0]
-} = {}) {
-  if (typeof prefix !== 'string') {
-    throw new Error('String prefix option expected')
-  }
-
-  const baseString = prefix ? prefix + separator : ''
-  if (objectIdLength <= (4 / 3) * (baseString.length + platformPartLength)) {
+function validateObjectIdBaseLength (baseString, layout) {
+  if (layout.length <= (4 / 3) * (baseString.length + layout.platformPartLength)) {
     throw new Error('Length should be high enough to pad ID with random characters')
   }
+}
 
-  const randomCharsNeeded = getRandomCharsNeededInObjectId(baseString)
+function getRandomCharsNeededInObjectId (baseString, layout) {
+  return layout.length - baseString.length - layout.versionChar.length -
+    layout.platformPartLength - layout.timestampLength - layout.counterLength
+}
 
-  const randomChars = await getRandomString(randomCharsNeeded)
+function getPlatformLayout ({ widePlatform = false } = {}) {
+  return {
+    widePlatform,
+    platformPartLength: widePlatform ? widePlatformPartLength : platformPartLength
+  }
+}
 
-  const base62Shuffler = randomChars.slice(-3)
-  const encodedPlatformId = encodePlatformId({
-    platformId,
-    shuffler: base62Shuffler
-  })
-  const zone = formatPlatformZone({
-    env,
-    zone: platformZone
-  })
+/**
+ * Checks if `platformId` is too large to be encoded in narrow 4-char platformId part.
+ * @param {String|Number} platformId
+ * @return {Boolean}
+ */
+function needsWidePlatform (platformId) {
+  return parseInt(platformId, 10) > maxPlatformId
+}
 
-  const encodedSecondsSinceEpoch = base62.encode(
-    Math.round(Date.now() / 1000) + base62.decode(`${base62Shuffler}0`, base62Index),
-    base62Index
-  )
+function getTimestampLayout ({ monotonic = false } = {}) {
+  return monotonic ? {
+    monotonic,
+    timestampLength: monotonicTimestampLength,
+    timestampUnit: 1, // milliseconds
+    counterLength: monotonicCounterLength
+  } : {
+    monotonic,
+    timestampLength: objectIdTimestampLength,
+    timestampUnit: 1000, // seconds
+    counterLength: 0
+  }
+}
 
-  return baseString + // AB
-    randomChars.substring(0, randomChars.length - 3) + // C
-    zone + // D
-    encodedPlatformId + // E
-    encodedSecondsSinceEpoch + // F
-    base62Shuffler // G
+/**
+ * Encodes format version integer as a single base62 char.
+ * @param {Number} version
+ * @return {String}
+ */
+function encodeFormatVersion (version) {
+  return base62Chars.charAt(version)
 }
 
-function getRandomCharsNeededInObjectId (baseString) {
-  return objectIdLength - baseString.length - platformPartLength - objectIdTimestampLength
+/**
+ * Decodes format version from single base62 char.
+ * @param {String} versionChar
+ * @return {Number} NaN if versionChar is not a base62 char
+ */
+function decodeFormatVersion (versionChar) {
+  const version = base62Chars.indexOf(versionChar)
+  return versionChar && version >= 0 ? version : NaN
 }
 
 /**
- * Encode platformId in base62 with optional “shuffler” (mask), that may be useful
- * to add some variation for easy ID differentiation.
- * @param {String} platformId
- * @param {String} [shuffler='000'] - 'XYZ' base62 string used as a mask
- * @param {String} [length=4]
- * @return {String} base62 encoded platformId
+ * Returns object ID layout of given format version, with optional features.
+ * @param {Number} version
+ * @param {Object} [features]
+ * @param {Boolean} [features.monotonic=false]
+ * @param {Boolean} [features.sortable=false]
+ * @param {Boolean} [features.widePlatform=false]
+ * @return {Object} layout, see objectIdLayouts
  */
-function encodePlatformId ({
-  platformId,
-  shuffler = '000',
-  length = encodedPlatformIdStringLength
-}) {
-  const platformIdInt = parseInt(platformId, 10)
-  const hasDefaultLength = length === encodedPlatformIdStringLength
-  if (!platformIdInt || (hasDefaultLength && platformIdInt > maxPlatformId)) {
-    throw new Error(`Expect platformId to be a number in [1-${maxPlatformId}] range`)
+function getObjectIdLayout (version, { monotonic = false, sortable = false, widePlatform = false } = {}) {
+  const layout = objectIdLayouts[version]
+  if (!layout) {
+    throw new Error(`Object ID version is expected to be one of ${Object.keys(objectIdLayouts).join(', ')}`)
+  }
+  if (!monotonic && !sortable && !widePlatform) return layout
+  if (version < 4) {
+    throw new Error('Monotonic, sortable and wide platform object IDs are not available before version 4')
   }
 
-  const platformIdShifted = platformIdInt + platformIdBase
-  const maskInteger = base62.decode(shuffler, base62Index)
-  return base62.encode(platformIdShifted + maskInteger, base62Index)
+  const timestampLayout = getTimestampLayout({ monotonic })
+  const platformLayout = getPlatformLayout({ widePlatform })
+  const flags = (monotonic ? objectIdFeatureFlags.monotonic : 0) |
+    (sortable ? objectIdFeatureFlags.sortable : 0) |
+    (widePlatform ? objectIdFeatureFlags.widePlatform : 0)
+
+  return {
+    ...layout,
+    ...timestampLayout,
+    ...platformLayout,
+    sortable,
+    length: layout.length +
+      timestampLayout.timestampLength - layout.timestampLength +
+      timestampLayout.counterLength - layout.counterLength +
+      platformLayout.platformPartLength - layout.platformPartLength,
+    versionChar: encodeFormatVersion(version + 8 * flags)
+  }
 }
 
 /**
- * Upper-cased zone means we are in live environment.
- * @param  {Object} params
- * @param  {String} env - 'live' or 'test'
- * @param  {String} zone - one of allowed platform zones such as 'e'
- * @return {String}
+ * Detects layout of `objectId`, with version char ending the string
+ * unless it has legacy v3 length.
+ * @param {String} objectId
+ * @return {Object} layout, see objectIdLayouts
  */
-function formatPlatformZone ({ env, zone }) {
-  if (typeof env !== 'string') throw new Error('String env expected')
-  return env === 'live' ? zone.toUpperCase() : zone
-}
+function detectObjectIdLayout (objectId) {
+  if (typeof objectId !== 'string') throw new Error('String objectId expected')
+  if (objectId.length === objectIdLayouts[3].length) return objectIdLayouts[3]
 
-function isLiveObjectId (zone) {
-  return zone === zone.toUpperCase()
+  const versionAndFlags = decodeFormatVersion(objectId.slice(-1))
+  const version = versionAndFlags % 8
+  const flags = Math.floor(versionAndFlags / 8)
+
+  const knownFlags = objectIdFeatureFlags.monotonic | objectIdFeatureFlags.sortable |
+    objectIdFeatureFlags.widePlatform
+
+  let layout
+  try {
+    if (version === 3 || flags & ~knownFlags) throw new Error()
+    layout = getObjectIdLayout(version, {
+      monotonic: !!(flags & objectIdFeatureFlags.monotonic),
+      sortable: !!(flags & objectIdFeatureFlags.sortable),
+      widePlatform: !!(flags & objectIdFeatureFlags.widePlatform)
+    })
+  } catch (e) {}
+
+  if (!layout || layout.length !== objectId.length) {
+    throw new Error(`Unknown object ID format for ${objectId}`)
+  }
+  return layout
 }
 
 /**
- * Extracts platformId and timestamp from base62-encoded string + other basic info
- * Wrap in a try/catch since it can throw.
+ * Splits `objectId` into prefix and the rest, using the same options as getObjectId.
+ * When `prefix` is omitted, it is expected not to include `separator`,
+ * and to be empty if `separator` is missing from `objectId`.
  * @param {String} objectId
- * @return {Object}
+ * @param {Object} [options]
+ * @param {String} [options.prefix]
+ * @param {String} [options.separator='_']
+ * @return {Object} `{ prefix, baseString }` where baseString includes separator,
+ *   or undefined if `objectId` does not start with provided `prefix`
  */
-function extractDataFromObjectId (objectId) {
-  const splitObjectId = objectId.split(defaultSeparator)
+function getObjectIdBase (objectId, { prefix, separator = defaultSeparator } = {}) {
+  if (typeof prefix === 'string') {
+    const baseString = prefix ? prefix + separator : ''
+    return objectId.startsWith(baseString) ? { prefix, baseString } : undefined
+  }
 
-  const object = splitObjectId[0]
+  const separatorIndex = separator ? objectId.indexOf(separator) : -1
+  if (separatorIndex < 0) return { prefix: '', baseString: '' }
 
-  const baseString = splitObjectId[0] + defaultSeparator
-  const randomCharsLength = getRandomCharsNeededInObjectId(baseString) - 3 // 1 trailing shuffler
-  const encodedString = splitObjectId[splitObjectId.length - 1]
-  const platformIdPart = encodedString.slice(randomCharsLength, randomCharsLength + platformPartLength)
-  const shuffler = objectId.slice(-3)
+  return {
+    prefix: objectId.slice(0, separatorIndex),
+    baseString: objectId.slice(0, separatorIndex + separator.length)
+  }
+}
 
-  const platformId = extractEncodedPlatformId(platformIdPart, { shuffler })
-  const zone = platformIdPart[0]
-  const isLive = isLiveObjectId(zone)
-  const timestamp = extractTimestampFromObjectId({ objectId, shuffler })
+/**
+ * Encodes timestamp masked with `shuffler` in object ID.
+ * @param {Number} timestamp - milliseconds since epoch
+ * @param {String} shuffler - 'XYZ' base62 string used as a mask
+ * @param {Object} layout
+ * @return {String}
+ */
+function encodeObjectIdTimestamp ({ timestamp, shuffler, layout }) {
+  const mask = getTimestampMask({ shuffler, layout })
+  return base62.encode(
+    Math.floor(timestamp / layout.timestampUnit) + mask,
+    base62Index
+  ).padStart(layout.timestampLength, '0')
+}
+
+/**
+ * Returns range of creation times object IDs can encode, depending on their format,
+ * taking the largest possible shuffler mask into account.
+ * @param {Object} [options]
+ * @param {Number} [options.version=latestObjectIdVersion]
+ * @param {Boolean} [options.monotonic=false]
+ * @param {Boolean} [options.sortable=false]
+ * @return {Object} `{ minTimestamp, maxTimestamp }` in milliseconds since epoch
+ */
+function getObjectIdTimestampRange ({ version = latestObjectIdVersion, monotonic, sortable } = {}) {
+  return getLayoutTimestampRange(getObjectIdLayout(version, { monotonic, sortable }))
+}
+
+function getLayoutTimestampRange (layout) {
+  const maxMask = layout.sortable ? 0 : getTimestampMask({ shuffler: 'zzz', layout })
+  const maxEncodedTimestamp = Math.pow(62, layout.timestampLength) - 1 - maxMask
 
   return {
-    object,
-    platformId,
-    zone,
-    isLive,
-    timestamp
+    minTimestamp: 0,
+    maxTimestamp: (maxEncodedTimestamp + 1) * layout.timestampUnit - 1
   }
 }
 
-function extractTimestampFromObjectId ({ objectId, shuffler }) {
-  const timestampPositionFromEnd = objectIdTimestampLength + shuffler.length
-  const decodedSecondsSinceEpoch = base62.decode(
-    objectId.slice(-timestampPositionFromEnd, -shuffler.length),
-    base62Index
-  ) - base62.decode(`${shuffler}0`, base62Index)
+function getTimestampMask ({ shuffler, layout }) {
+  // Shifting mask further for milliseconds
+  return base62.decode(`${shuffler}${layout.timestampUnit === 1 ? '00' : '0'}`, base62Index)
+}
 
-  return decodedSecondsSinceEpoch
+/**
+ * Encodes monotonic counter masked with `shuffler` so that object IDs generated
+ * during the same millisecond can be differentiated easily.
+ * @param {Number} counter
+ * @param {String} shuffler
+ * @return {String}
+ */
+function encodeMonotonicCounter ({ counter, shuffler }) {
+  const mask = base62.decode(shuffler, base62Index) % (maxMonotonicCounter + 1)
+  return base62.encode((counter + mask) % (maxMonotonicCounter + 1), base62Index)
+    .padStart(monotonicCounterLength, '0')
+}
+
+function decodeMonotonicCounter ({ encodedCounter, shuffler }) {
+  const mask = base62.decode(shuffler, base62Index) % (maxMonotonicCounter + 1)
+  return (base62.decode(encodedCounter, base62Index) - mask + maxMonotonicCounter + 1) %
+    (maxMonotonicCounter + 1)
 }
 
 /**
- * Extracts platformId from padded string of length platformPartLength.
- * Wrap in a try/catch since it can throw.
- * @param {String} encodedString
+ * Encode platformId in base62 with optional “shuffler” (mask), that may be useful
+ * to add some variation for easy ID differentiation.
+ * @param {String} platformId
  * @param {String} [shuffler='000'] - 'XYZ' base62 string used as a mask
- * @param {String} [options.zone=platformZones[0]] - pass empty string to allow extraction without zone
- * @return {String}
+ * @param {Number} [length] - 4, or 5 for wide platform part.
+ *   Defaults to 4 unless platformId is greater than maxPlatformId.
+ * @return {String} base62 encoded platformId
  */
-function extractEncodedPlatformId (encodedString, {
+function encodePlatformId ({
+  platformId,
   shuffler = '000',
-  zone = platformZones[0]
+  length = needsWidePlatform(platformId) ? wideEncodedPlatformIdStringLength : encodedPlatformIdStringLength
 }) {
-  const extractPlatformIdRegex = new RegExp(`${
-    zone ? `[${platformZones.join('')}]` : ''
-  }([a-zA-Z0-9]+)`, 'i')
-  const matches = encodedString.match(extractPlatformIdRegex)
-  if (!matches || matches.length < 1) {
-    throw new Error(`Can’t extract platformId from ${encodedString}${
-      shuffler ? ` with ${shuffler} shuffler` : ''
-    } in ${zone} zone.`)
+  const isWide = length === wideEncodedPlatformIdStringLength
+  if (!isWide && length !== encodedPlatformIdStringLength) {
+    throw new Error(`Expect platformId length to be ${encodedPlatformIdStringLength} or ${wideEncodedPlatformIdStringLength}`)
   }
 
-  const arrangeInt = base62.decode(shuffler, base62Index) + platformIdBase
-  const platformId = (base62.decode(matches[1], base62Index) - arrangeInt).toString()
-
-  if (!isValidPlatformId(platformId)) {
-    throw new Error(`Invalid platformId ${platformId}`)
+  const platformIdInt = parseInt(platformId, 10)
+  const max = isWide ? maxWidePlatformId : maxPlatformId
+  if (!platformIdInt || platformIdInt < 0 || platformIdInt > max) {
+    throw new Error(`Expect platformId to be a number in [1-${max}] range`)
   }
 
-  return platformId
+  const platformIdShifted = platformIdInt + (isWide ? widePlatformIdBase : platformIdBase)
+  const maskInteger = base62.decode(shuffler, base62Index)
+  return base62.encode(platformIdShifted + maskInteger, base62Index)
+}
+
+/**
+ * Decodes platformId encoded with encodePlatformId, detecting wide platform part from its length.
+ * @param {String} encodedPlatformId
+ * @param {String} [shuffler='000'] - 'XYZ' base62 string used as a mask
+ * @return {String} platformId, NaN string if length is invalid or platformId out of range
+ */
+function decodePlatformId (encodedPlatformId, shuffler = '000') {
+  const isWide = encodedPlatformId.length === wideEncodedPlatformIdStringLength
+  if (!isWide && encodedPlatformId.length !== encodedPlatformIdStringLength) return 'NaN'
+
+  const platformIdInt = base62.decode(encodedPlatformId, base62Index) -
+    base62.decode(shuffler, base62Index) -
+    (isWide ? widePlatformIdBase : platformIdBase)
+  // 4-char platform part can't hold wide platformIds, this would be a typo
+  if (platformIdInt > (isWide ? maxWidePlatformId : maxPlatformId)) return 'NaN'
+
+  return platformIdInt.toString()
+}
+
+function isLiveObjectId (zone) {
+  return zone === zone.toUpperCase()
+}
+
+/**
+ * Decodes timestamp masked with `shuffler` in object ID.
+ * @param {String} encodedTimestamp
+ * @param {String} shuffler
+ * @param {Object} layout
+ * @return {Number} milliseconds since epoch
+ */
+function extractTimestampFromObjectId ({ encodedTimestamp, shuffler, layout }) {
+  const decodedTimestamp = base62.decode(encodedTimestamp, base62Index) -
+    getTimestampMask({ shuffler, layout })
+
+  return decodedTimestamp * layout.timestampUnit
 }
 
 /**
@@ -335,70 +704,1034 @@ function extractEncodedPlatformId (encodedString, {
  */
 function isValidPlatformId (platformId) {
   const id = platformId ? parseInt(platformId, 10) : -1
-  if (isNaN(id) || id < 0 || id > maxPlatformId) return false
+  if (isNaN(id) || id < 0 || id > maxWidePlatformId) return false
 
   return true
 }
 
 /**
  * Generates a valid pseudo-random platformId
+ * @param {Object} [options]
+ * @param {Boolean} [options.widePlatform=true] - when false, platformId is at most maxPlatformId
+ *   so that it fits in the 4-char platform part of legacy object IDs and API keys
  * @return {String}
  */
-function getRandomPlatformId () {
+function getRandomPlatformId ({ widePlatform = true } = {}) {
   const min = 1
-  const max = maxPlatformId
+  const max = widePlatform ? maxWidePlatformId : maxPlatformId
   return (Math.floor(Math.random() * (max - min + 1)) + min).toString()
 }
 
 /**
- * Returned extracted information from “public” platform ID like `e11` or `e11_live`,
- * containing info needed to locate the platform on infrastructure built with Stelace server.
- * Note that this function does not throw and rather sets `hasValidFormat` value to `false`
- * in returned object if `publicPlatformId` format is invalid.
- * @param  {String} publicPlatformId
- * @return {Object} `{ env, platformId, zone, hasValidFormat }`,
- *   `env` can be null if `_[env]` part is not provided in publicPlatformId
+ * Returns generators and parsers bound to a registry of platform zones, mapping
+ * single-char zones to server region names, such as `{ e: 'eu-west-1', u: 'us-east-1' }`.
+ * Default zone is resolved from STELACE_PLATFORM_ZONE environment variable, or from server region
+ * in cloud provider variables such as AWS_REGION, falling back to the first zone of the registry
+ * unless `strictZone` is true.
+ * An unknown zone in STELACE_PLATFORM_ZONE throws, unless using default zone registry without `strictZone`:
+ * the variable can then be meant for a custom registry, and module-level generators must not throw when required.
+ * Allowed platform environments are also registered, such as
+ * `{ live: { isLive: true }, test: { isLive: false }, staging: { isLive: false } }`,
+ * the first non-live env being used as default env.
+ * Object types can be registered as well, see registerObjectType.
+ * Random chars are drawn from `randomSource`, such as a seeded source for reproducible output,
+ * see createSeededRandomSource.
+ * @param {Object} [options]
+ * @param {Object} [options.zones=defaultZones]
+ * @param {Object} [options.envs=defaultEnvs]
+ * @param {Array<Object>} [options.objectTypes] - object types to register
+ * @param {Object} [options.randomSource] - default random source if omitted, see setDefaultRandomSource
+ * @param {Function} [options.now=Date.now] - clock returning current time in milliseconds
+ * @param {Object} [options.processEnv=process.env] - environment variables to resolve default zone from
+ * @param {Boolean} [options.strictZone=false] - throw if default zone can’t be resolved
+ *   from environment variables
+ * @return {Object}
  */
-function parsePublicPlatformId (publicPlatformId) {
-  let hasValidFormat = false
-  if (typeof publicPlatformId !== 'string') return { hasValidFormat }
+function createGenerator ({
+  zones = defaultZones,
+  envs = defaultEnvs,
+  objectTypes = [],
+  randomSource,
+  now = () => Date.now(),
+  processEnv = getProcessEnv(),
+  strictZone = false
+} = {}) {
+  if (typeof randomSource !== 'undefined') validateRandomSource(randomSource)
 
-  const parts = publicPlatformId.split('_')
-  if (!parts.length || parts.length > 2) return { hasValidFormat }
+  const platformZones = validateZones(zones)
+  const {
+    zone: defaultZone,
+    source: defaultZoneSource
+  } = resolveDefaultZone(zones, {
+    processEnv,
+    strict: strictZone,
+    ignoreUnknownZone: zones === defaultZones
+  })
+  const platformEnvs = validateEnvs(envs)
+  const defaultEnv = platformEnvs.find(env => !envs[env].isLive) || platformEnvs[0]
 
-  const zone = parts[0].charAt(0)
-  const platformId = parts[0].slice(1)
-  const env = parts[1] || null
+  // Object type registry, by name
+  const registeredObjectTypes = new Map()
+  if (!Array.isArray(objectTypes)) throw new Error('Array of object types expected')
+  objectTypes.forEach(registerObjectType)
 
-  if (!platformZones.includes(zone)) return { hasValidFormat }
-  if (!platformId || !isValidPlatformId(platformId)) return { hasValidFormat }
+  // Monotonic object ID state, shared by all object IDs generated with this generator
+  let lastMonotonicTimestamp = 0
+  let lastMonotonicCounter = 0
 
-  hasValidFormat = [platformId, zone].every(i => !!i)
+  /**
+   * Runs generator function `task` with random source of this generator, see runTask.
+   * @param {Generator} task
+   * @return {Promise} resolving to `task` return value
+   */
+  function runGeneratorTask (task) {
+    return runTask(task, randomSource)
+  }
 
-  return {
-    env,
+  /**
+   * Synchronous version of runGeneratorTask.
+   * @param {Generator} task
+   * @return {*} `task` return value
+   */
+  function runGeneratorTaskSync (task) {
+    return runTaskSync(task, randomSource)
+  }
+
+  /**
+   * Async function returning a random string, made of chars drawn uniformly from `alphabet`
+   * using rejection sampling, so that each char has the same probability.
+   *
+   * Deprecated: replaceRegex and replacement can be provided but you
+   * should make sure length remains the same after String.replace is run, since the function
+   * only checks that replacement is not falsy when replaceRegex is provided.
+   * Please use `alphabet` option instead.
+   *
+   * @param {Number} length - length to reach
+   * @param {Object} [options]
+   * @param {String} [options.prefix]
+   * @param {String} [options.separator='_'] - separator between the prefix and random chars
+   * @param {String} [options.alphabet='base62'] - 'base62', 'base58', 'crockford32'
+   *   or custom string of 2 to 256 distinct chars
+   * @param {Regex|String} [options.replaceRegex] - to ban some chars from output
+   * @param {String|Function} [options.replacement] - can’t be falsy
+   * @return {String}
+   */
+  async function getRandomString (length, options) {
+    return runGeneratorTask(getRandomStringTask(length, options))
+  }
+
+  /**
+   * Synchronous version of getRandomString.
+   * @param {Number} length - length to reach
+   * @param {Object} [options] - see getRandomString
+   * @return {String}
+   */
+  function getRandomStringSync (length, options) {
+    return runGeneratorTaskSync(getRandomStringTask(length, options))
+  }
+
+  /**
+   * Async function returning string of given length with (pre|suf)fix random chars
+   * @param {String} base - base string
+   * @param {Number} length - length to reach
+   * @param {Object} [options]
+   * @param {String} [options.position=right] - position of the random characters ('left' -> before the base)
+   * @param {Object} [options.randomOptions] - options accepted by getRandomString called internally
+   * @return {String}
+   */
+  async function padWithRandomChars (base, length, options) {
+    return runGeneratorTask(padWithRandomCharsTask(base, length, options))
+  }
+
+  /**
+   * Synchronous version of padWithRandomChars.
+   * @param {String} base - base string
+   * @param {Number} length - length to reach
+   * @param {Object} [options] - see padWithRandomChars
+   * @return {String}
+   */
+  function padWithRandomCharsSync (base, length, options) {
+    return runGeneratorTaskSync(padWithRandomCharsTask(base, length, options))
+  }
+
+  /**
+   * Async function returning a new objectId with model prefix, base-64 encoded platformId
+   * random chars, and some magic to ensure ids of the same type can be differentiated easily
+   * on the same platform.
+   * Outputs 25-char object ids with 8 parts:
+   *
+   * - A: 3/4 char-long prefix (preferably 3 for numerous resources like ast or evt)
+   * - B: underscore
+   * - C: 5 or 6 random base62 equivalent chars generated by crypto module or Web Crypto
+   * - D: server zone ('e' -> EU), uppercase if env is 'live'
+   * - E: 4 chars dedicated to platformId integer encoded in base62, and masked with G (see below)
+   *   starting from '1000' = 238328 (62^3)
+   *   up to 'z000' = 14776335 - 238327 = 14538008
+   *   (in case shuffler reaches its max 'zzz' = 61*62^2 + 61*62^1 + 61*62^0 = 238327)
+   *   which makes 14538008 - 238328 + 1 = 14299681 platforms…
+   * - F: 6 chars for UNIX timestamp integer encoded in base 62
+   *   (enough for more than 1000 years)
+   *   We use some masking again to ensure ids can be differentiated easily.
+   * - G: 3 chars are a random base62 shuffler added to platformId (D) as a 'XYZ' mask.
+   *   This avoids having 4 constant characters, so ids can still be differentiated easily on same platform.
+   *   For instance:
+   *   platformId 384130 '1bve'
+   *   can be turned into   '2awd' if mask is 'z0z'
+   *   or                   '1bwf' if mask is '011'
+   * - H: format version char, absent from 24-char v3 object ids
+   *
+   * Example:
+   * ast _ 2l7fQp s 1I3a 1gJYz2 I3a 4
+   * A   B C      D E    F      G   H
+   *
+   * With `monotonic` option, F is made of 8 chars for UNIX timestamp in milliseconds,
+   * followed by 2 chars for a counter incremented for each object ID generated during
+   * the same millisecond, making 29-char object ids that can be ordered with compareObjectIds.
+   *
+   * With `sortable` option, D, E and F are not masked and come right after B,
+   * all C and G chars being random chars before H, version char encoding sortable flag:
+   * ast _ s 2bvd 1vb66i iKV4KQosv K
+   * A   B D E    F      C+G       H
+   * Object IDs of the same type and platform can then be sorted lexicographically
+   * by creation time (using binary collation), see getObjectIdRangeForTime.
+   *
+   * This makes it easy to sort by env code + platformId + (approximated) createdDate.
+   * Note that ABC is 10-char long.
+   *
+   * 5 Built-in pieces of info (object, zone, liveEnv, platformId, timestamp) can have various use cases:
+   * - Monitoring: provide help (e.g. missing publishable key) or qualify basic attacks
+   * - Optimization: reject invalid keys as soon as touching our servers to avoid useless DB queries
+   * - Analytics/Big data with ids only (e.g. date range aggregation for visualisation)
+   *
+   * @param {Object} [options]
+   * @param {String} options.prefix - before default separator
+   * @param {String} [options.type] - name of registered object type providing prefix
+   *   and default generation options, instead of `prefix`
+   * @param {String} [options.separator='_'] - separator between the prefix and random chars
+   * @param {String} [options.platformId]
+   * @param {String} [options.env=defaultEnv] - registered platform environment such as 'live'
+   * @param {String} [options.platformZone=defaultZone]
+   * @param {Number} [options.version=latestObjectIdVersion] - format version, see objectIdLayouts
+   * @param {Boolean} [options.monotonic=false] - store milliseconds and a counter so that object IDs
+   *   from this generator can always be ordered by creation time
+   * @param {Boolean} [options.sortable=false] - make object IDs sortable by creation time
+   * @param {Boolean} [options.widePlatform] - use wide 5-char platformId part (see part E),
+   *   making object IDs one char longer. Defaults to true for platformIds greater than maxPlatformId.
+   * @param {Date|Number} [options.createdAt=now()] - creation time to encode, as Date or milliseconds
+   *   since epoch, e.g. to import legacy data. Must be within getObjectIdTimestampRange.
+   *   Monotonic object IDs then get a zero counter.
+   * @return {String}
+   */
+  async function getObjectId (options) {
+    return runGeneratorTask(getObjectIdTask(options))
+  }
+
+  /**
+   * Synchronous version of getObjectId.
+   * @param {Object} [options] - see getObjectId
+   * @return {String}
+   */
+  function getObjectIdSync (options) {
+    return runGeneratorTaskSync(getObjectIdTask(options))
+  }
+
+  function * getObjectIdTask (options) {
+    return yield * getObjectIdWithoutTypeTask(applyObjectType(options))
+  }
+
+  function * getObjectIdWithoutTypeTask ({
+    prefix,
+    separator = defaultSeparator,
     platformId,
-    zone,
-    hasValidFormat
+    env = defaultEnv,
+    platformZone = defaultZone,
+    version = latestObjectIdVersion,
+    monotonic = false,
+    sortable = false,
+    widePlatform = needsWidePlatform(platformId),
+    createdAt
+  } = {}) {
+    if (typeof prefix !== 'string') {
+      throw new Error('String prefix option expected')
+    }
+    const layout = getObjectIdLayout(version, { monotonic, sortable, widePlatform })
+    const createdTimestamp = typeof createdAt === 'undefined'
+      ? undefined
+      : validateObjectIdTimestamp(createdAt, layout)
+
+    const baseString = prefix ? prefix + separator : ''
+    validateObjectIdBaseLength(baseString, layout)
+
+    const randomCharsNeeded = getRandomCharsNeededInObjectId(baseString, layout)
+
+    const randomChars = yield * getRandomStringTask(randomCharsNeeded)
+
+    // No mask in sortable object IDs
+    const base62Shuffler = layout.sortable ? '000' : randomChars.slice(-3)
+    const encodedPlatformId = encodePlatformId({
+      platformId,
+      shuffler: base62Shuffler,
+      length: layout.platformPartLength - 1
+    })
+    const zone = formatPlatformZone({
+      env,
+      zone: platformZone
+    })
+
+    let timestamp
+    let counter
+    if (typeof createdTimestamp === 'number') {
+      timestamp = createdTimestamp
+      counter = 0
+    } else if (layout.monotonic) {
+      ({ timestamp, counter } = getMonotonicTimestamp())
+    } else {
+      timestamp = now()
+    }
+    const encodedTimestamp = encodeObjectIdTimestamp({
+      timestamp,
+      shuffler: base62Shuffler,
+      layout
+    }) + (layout.monotonic ? encodeMonotonicCounter({ counter, shuffler: base62Shuffler }) : '')
+
+    if (layout.sortable) {
+      return baseString + // AB
+        zone + // D
+        encodedPlatformId + // E
+        encodedTimestamp + // F
+        randomChars + // C+G
+        layout.versionChar // H
+    }
+
+    return baseString + // AB
+      randomChars.substring(0, randomChars.length - 3) + // C
+      zone + // D
+      encodedPlatformId + // E
+      encodedTimestamp + // F
+      base62Shuffler + // G
+      layout.versionChar // H
+  }
+
+  /**
+   * Returns current timestamp in milliseconds along with a counter, so that successive calls
+   * return strictly increasing `{ timestamp, counter }` pairs even if clock goes backwards.
+   * Timestamp is incremented ahead of clock if counter overflows during the same millisecond.
+   * @return {Object} `{ timestamp, counter }`
+   */
+  function getMonotonicTimestamp () {
+    const timestamp = now()
+
+    if (timestamp > lastMonotonicTimestamp) {
+      lastMonotonicTimestamp = timestamp
+      lastMonotonicCounter = 0
+    } else if (lastMonotonicCounter < maxMonotonicCounter) {
+      lastMonotonicCounter++
+    } else {
+      lastMonotonicTimestamp++
+      lastMonotonicCounter = 0
+    }
+
+    return { timestamp: lastMonotonicTimestamp, counter: lastMonotonicCounter }
+  }
+
+  /**
+   * Returns inclusive lower and upper bounds of all sortable object IDs a platform
+   * can generate during a time range, so that object IDs can be queried in databases
+   * with `id BETWEEN lowerBound AND upperBound`, provided that database collation is binary
+   * (e.g. `COLLATE "C"` in PostgreSQL).
+   * Only object IDs generated with `sortable` option are covered.
+   * @param {Object} options - same as getObjectId
+   * @param {Date|Number} options.from - start of time range, as Date or milliseconds since epoch
+   * @param {Date|Number} options.to - end of time range (inclusive)
+   * @return {Object} `{ lowerBound, upperBound }`
+   */
+  function getObjectIdRangeForTime (options) {
+    return getObjectIdRangeForTimeWithoutType(applyObjectType(options))
   }
+
+  function getObjectIdRangeForTimeWithoutType ({
+    prefix,
+    separator = defaultSeparator,
+    platformId,
+    env = defaultEnv,
+    platformZone = defaultZone,
+    version = latestObjectIdVersion,
+    monotonic = false,
+    widePlatform = needsWidePlatform(platformId),
+    from,
+    to
+  } = {}) {
+    if (typeof prefix !== 'string') {
+      throw new Error('String prefix option expected')
+    }
+    const layout = getObjectIdLayout(version, { monotonic, sortable: true, widePlatform })
+    const fromTimestamp = getTimestamp(from)
+    const toTimestamp = getTimestamp(to)
+    if (fromTimestamp > toTimestamp) throw new Error('Time range end is expected after its start')
+
+    const baseString = prefix ? prefix + separator : ''
+    const platformPart = formatPlatformZone({ env, zone: platformZone }) +
+      encodePlatformId({ platformId, length: layout.platformPartLength - 1 })
+    const variableCharsLength = layout.counterLength + getRandomCharsNeededInObjectId(baseString, layout)
+
+    const getBound = (timestamp, char) => baseString +
+      platformPart +
+      encodeObjectIdTimestamp({ timestamp, shuffler: '000', layout }) +
+      char.repeat(variableCharsLength) +
+      layout.versionChar
+
+    return {
+      lowerBound: getBound(fromTimestamp, base62Chars.charAt(0)),
+      upperBound: getBound(toTimestamp, base62Chars.slice(-1))
+    }
+  }
+
+  /**
+   * Compares object IDs by decoded creation time, then by counter for monotonic object IDs.
+   * Can be used to sort object IDs: `objectIds.sort(compareObjectIds)`.
+   * Wrap in a try/catch since it can throw.
+   * @param {String} a - objectId
+   * @param {String} b - objectId
+   * @return {Number} negative if a was created before b, positive if after, 0 otherwise
+   */
+  function compareObjectIds (a, b) {
+    const dataA = extractDataFromObjectId(a)
+    const dataB = extractDataFromObjectId(b)
+
+    return (dataA.timestampMs - dataB.timestampMs) || ((dataA.counter || 0) - (dataB.counter || 0))
+  }
+
+  /**
+   * Async function returning `count` distinct objectIds in generation order, drawing random bytes
+   * once for the whole batch rather than once per objectId as getObjectId does.
+   * Useful for bulk imports. Throws if random source keeps returning duplicates.
+   * @param {Object} options - same as getObjectId
+   * @param {Number} options.count - number of objectIds to generate
+   * @return {Array<String>}
+   */
+  async function getObjectIds (options) {
+    return runGeneratorTask(getObjectIdsTask(options))
+  }
+
+  /**
+   * Synchronous version of getObjectIds.
+   * @param {Object} options - see getObjectIds
+   * @return {Array<String>}
+   */
+  function getObjectIdsSync (options) {
+    return runGeneratorTaskSync(getObjectIdsTask(options))
+  }
+
+  function * getObjectIdsTask ({ count, ...options } = {}) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error('Positive integer count option expected')
+    }
+
+    const objectIds = new Set()
+    let randomBytes = new Uint8Array(0)
+    let successiveDuplicates = 0
+
+    while (objectIds.size < count) {
+      const task = getObjectIdTask(options)
+      let step = task.next()
+
+      while (!step.done) {
+        const bytesNeeded = step.value
+        if (randomBytes.length < bytesNeeded) {
+          // Drawing enough bytes for all remaining objectIds at once
+          randomBytes = yield bytesNeeded * (count - objectIds.size)
+        }
+        step = task.next(randomBytes.subarray(0, bytesNeeded))
+        randomBytes = randomBytes.subarray(bytesNeeded)
+      }
+
+      if (!objectIds.has(step.value)) {
+        objectIds.add(step.value)
+        successiveDuplicates = 0
+      } else if (++successiveDuplicates >= maxSuccessiveObjectIdDuplicates) {
+        throw new Error(`Got ${successiveDuplicates} duplicate object IDs in a row, random source may not be random`)
+      }
+    }
+
+    return [...objectIds]
+  }
+
+  /**
+   * Registers an object type, so that object IDs can be generated with `type` option
+   * instead of raw prefix, and parsers can return type name.
+   * Prefix must be alphanumeric, unique across registered types and short enough
+   * to leave room for random chars in object IDs.
+   * @param {Object} objectType
+   * @param {String} objectType.name - such as 'asset'
+   * @param {String} objectType.prefix - such as 'ast'
+   * @param {Object} [objectType.options] - default generation options of this type:
+   *   `separator`, `version`, `monotonic` and `sortable`, see getObjectId
+   * @return {Object} registered object type `{ name, prefix, options }`
+   */
+  function registerObjectType ({ name, prefix, options = {} } = {}) {
+    if (!name || typeof name !== 'string') throw new Error('String object type name expected')
+    if (registeredObjectTypes.has(name)) throw new Error(`Object type ${name} is already registered`)
+    if (typeof prefix !== 'string' || !/^[a-zA-Z\d]+$/.test(prefix)) {
+      throw new Error(`Object type ${name} is expected to have a non-empty alphanumeric prefix`)
+    }
+
+    const conflictingType = getObjectTypes().find(type => type.prefix === prefix)
+    if (conflictingType) {
+      throw new Error(`Prefix ${prefix} is already used by ${conflictingType.name} object type`)
+    }
+
+    const unknownOptions = Object.keys(options || {}).filter(o => !objectTypeOptionNames.includes(o))
+    if (!options || typeof options !== 'object' || unknownOptions.length) {
+      throw new Error(`Object type options are expected to be among ${objectTypeOptionNames.join(', ')}`)
+    }
+
+    const {
+      separator = defaultSeparator,
+      version = latestObjectIdVersion,
+      monotonic,
+      sortable,
+      widePlatform
+    } = options
+    if (typeof separator !== 'string') throw new Error('String separator option expected')
+
+    try {
+      const layout = getObjectIdLayout(version, { monotonic, sortable, widePlatform })
+      validateObjectIdBaseLength(prefix + separator, layout)
+    } catch (e) {
+      throw new Error(`Prefix ${prefix} of ${name} object type is too long: ${e.message}`)
+    }
+
+    const objectType = { name, prefix, options: { ...options } }
+    registeredObjectTypes.set(name, objectType)
+
+    return getObjectType(name)
+  }
+
+  /**
+   * Returns registered object type, or undefined if there is no such type.
+   * @param {String} name
+   * @return {Object} `{ name, prefix, options }`
+   */
+  function getObjectType (name) {
+    const objectType = registeredObjectTypes.get(name)
+    if (!objectType) return
+
+    return { ...objectType, options: { ...objectType.options } }
+  }
+
+  /**
+   * Returns all registered object types, in registration order.
+   * @return {Array<Object>}
+   */
+  function getObjectTypes () {
+    return [...registeredObjectTypes.keys()].map(getObjectType)
+  }
+
+  /**
+   * Replaces `type` option with prefix and default options of registered object type.
+   * Other options take precedence over type options.
+   * @param {Object} [options]
+   * @return {Object}
+   */
+  function applyObjectType ({ type, ...options } = {}) {
+    if (typeof type === 'undefined') return options
+
+    const objectType = registeredObjectTypes.get(type)
+    if (!objectType) throw new Error(`Unknown object type ${type}`)
+    if (typeof options.prefix !== 'undefined' && options.prefix !== objectType.prefix) {
+      throw new Error(`Prefix ${options.prefix} does not match ${type} object type`)
+    }
+
+    const typeOptions = { ...objectType.options, prefix: objectType.prefix }
+    Object.keys(options).forEach(name => {
+      if (typeof options[name] !== 'undefined') typeOptions[name] = options[name]
+    })
+    return typeOptions
+  }
+
+  /**
+   * Returns prefix and separator to parse `objectId` with, from `type` option,
+   * or from the registered object type it starts with when `prefix` is not provided.
+   * @param {String} objectId
+   * @param {Object} [options]
+   * @return {Object} `{ prefix, separator }`
+   */
+  function resolveObjectIdParseOptions (objectId, { type, prefix, separator } = {}) {
+    if (typeof type !== 'undefined') {
+      const typeOptions = applyObjectType({ type, prefix, separator })
+      return { prefix: typeOptions.prefix, separator: typeOptions.separator }
+    }
+    if (typeof prefix === 'string') return { prefix, separator }
+
+    // Longest matching prefix wins
+    const objectType = getObjectTypes()
+      .filter(t => typeof separator === 'undefined' || getTypeSeparator(t) === separator)
+      .filter(t => objectId.startsWith(t.prefix + getTypeSeparator(t)))
+      .sort((a, b) => b.prefix.length - a.prefix.length)[0]
+
+    return objectType
+      ? { prefix: objectType.prefix, separator: getTypeSeparator(objectType) }
+      : { prefix, separator }
+  }
+
+  function getObjectTypeName (prefix, separator = defaultSeparator) {
+    const objectType = getObjectTypes().find(t => t.prefix === prefix)
+    return objectType && getTypeSeparator(objectType) === separator ? objectType.name : null
+  }
+
+  function getTypeSeparator (objectType) {
+    const { separator = defaultSeparator } = objectType.options
+    return separator
+  }
+
+  /**
+   * Returns registered env name matching `env` case-insensitively, or undefined if there is none.
+   * @param  {String} env
+   * @return {String}
+   */
+  function normalizeEnv (env) {
+    if (typeof env !== 'string') return
+    const lowerCaseEnv = env.toLowerCase()
+    return platformEnvs.includes(lowerCaseEnv) ? lowerCaseEnv : undefined
+  }
+
+  /**
+   * Returns registered env name matching `env`, throwing if there is none.
+   * @param  {String} env
+   * @return {String}
+   */
+  function validateEnv (env) {
+    if (typeof env !== 'string') throw new Error('String env expected')
+
+    const normalizedEnv = normalizeEnv(env)
+    if (!normalizedEnv) throw new Error(`Env is expected to be one of ${platformEnvs.join(', ')}`)
+    return normalizedEnv
+  }
+
+  /**
+   * Checks if `env` is registered as a live environment.
+   * @param  {String} env
+   * @return {Boolean}
+   */
+  function isLiveEnv (env) {
+    const normalizedEnv = normalizeEnv(env)
+    return !!normalizedEnv && envs[normalizedEnv].isLive
+  }
+
+  /**
+   * Returns the env matching `isLive`, when there is a single registered env of this kind,
+   * since object IDs only encode whether their env is live.
+   * @param  {Boolean} isLive
+   * @return {String} null if ambiguous
+   */
+  function getEnvFromLiveness (isLive) {
+    const matchingEnvs = platformEnvs.filter(env => envs[env].isLive === isLive)
+    return matchingEnvs.length === 1 ? matchingEnvs[0] : null
+  }
+
+  /**
+   * Upper-cased zone means we are in live environment.
+   * @param  {Object} params
+   * @param  {String} env - registered env such as 'live' or 'test'
+   * @param  {String} zone - one of allowed platform zones such as 'e'
+   * @return {String}
+   */
+  function formatPlatformZone ({ env, zone }) {
+    const validEnv = validateEnv(env)
+    if (!platformZones.includes(zone)) {
+      throw new Error(`Zone is expected to be one of ${platformZones.join(', ')}`)
+    }
+    return isLiveEnv(validEnv) ? zone.toUpperCase() : zone
+  }
+
+  /**
+   * Extracts platformId and timestamp from base62-encoded string + other basic info,
+   * detecting format version of `objectId`.
+   * `prefix` and `separator` options used to generate `objectId` can be provided
+   * to parse it correctly, `prefix` being needed if it includes `separator`
+   * and `objectId` prefix is not registered, see registerObjectType.
+   * Wrap in a try/catch since it can throw.
+   * @param {String} objectId
+   * @param {Object} [options]
+   * @param {String} [options.prefix] - expected prefix, can be empty
+   * @param {String} [options.type] - expected registered object type, instead of `prefix`
+   * @param {String} [options.separator='_']
+   * @return {Object} including `type` name, null if `objectId` prefix is not registered,
+   *   and `env`, null if several registered envs share the same liveness
+   */
+  function extractDataFromObjectId (objectId, options) {
+    const layout = detectObjectIdLayout(objectId)
+    const { prefix, separator } = resolveObjectIdParseOptions(objectId, options)
+    const base = getObjectIdBase(objectId, { prefix, separator })
+    if (!base) throw new Error(`Object ID ${objectId} does not start with ${prefix} prefix`)
+
+    const object = base.prefix
+
+    const encodedString = objectId.slice(0, objectId.length - layout.versionChar.length)
+    let platformPartIndex
+    let shuffler
+
+    if (layout.sortable) {
+      // Fixed-length parts are located right after separator
+      platformPartIndex = base.baseString.length
+      shuffler = '000'
+    } else {
+      // Fixed-length parts are located from the end, before optional version char
+      platformPartIndex = encodedString.length - layout.platformPartLength -
+        layout.timestampLength - layout.counterLength - 3
+      shuffler = encodedString.slice(-3)
+    }
+
+    const timestampIndex = platformPartIndex + layout.platformPartLength
+    const counterIndex = timestampIndex + layout.timestampLength
+    const platformIdPart = encodedString.slice(platformPartIndex, timestampIndex)
+
+    const platformId = extractEncodedPlatformId(platformIdPart, { shuffler })
+    const zone = platformIdPart[0]
+    const isLive = isLiveObjectId(zone)
+    const timestampMs = extractTimestampFromObjectId({
+      encodedTimestamp: encodedString.slice(timestampIndex, counterIndex),
+      shuffler,
+      layout
+    })
+    const counter = layout.monotonic ? decodeMonotonicCounter({
+      encodedCounter: encodedString.slice(counterIndex, counterIndex + layout.counterLength),
+      shuffler
+    }) : null
+
+    return {
+      object,
+      type: getObjectTypeName(object, separator),
+      version: layout.version,
+      monotonic: layout.monotonic,
+      sortable: layout.sortable,
+      widePlatform: layout.widePlatform,
+      platformId,
+      zone,
+      region: getZoneRegion(zone),
+      isLive,
+      env: getEnvFromLiveness(isLive),
+      timestamp: Math.floor(timestampMs / 1000),
+      timestampMs,
+      counter
+    }
+  }
+
+  /**
+   * Returns extracted information from `objectId` like extractDataFromObjectId,
+   * after checking its length, prefix, charset, platform zone, platformId
+   * and that its timestamp is plausible.
+   * Note that it does not throw and rather sets `hasValidFormat` value to false in returned object
+   * if `objectId` format is invalid, listing issues in `errors` array.
+   * Only invalid options can make it throw.
+   * @param {String} objectId
+   * @param {Object} [options]
+   * @param {String} [options.prefix] - expected prefix, can be empty.
+   *   Any non-empty alphanumeric prefix is accepted if omitted.
+   * @param {String} [options.type] - expected registered object type, instead of `prefix`
+   * @param {String} [options.separator='_']
+   * @param {Date|Number} [options.minTimestamp=0] - earliest plausible creation time
+   * @param {Date|Number} [options.maxTimestamp] - latest plausible creation time,
+   *   defaults to one day from now to allow for some clock skew
+   * @return {Object} `{ object, type, version, platformId, zone, region, isLive, env, timestamp, timestampMs,
+   *   hasValidFormat, errors }` and other info returned by extractDataFromObjectId
+   */
+  function parseObjectId (objectId, {
+    type,
+    prefix,
+    separator,
+    minTimestamp = 0,
+    maxTimestamp = now() + 24 * 3600 * 1000
+  } = {}) {
+    const errors = []
+    const getResult = (data = {}) => ({ ...data, hasValidFormat: !errors.length, errors })
+    const timestampRange = [getTimestamp(minTimestamp), getTimestamp(maxTimestamp)]
+
+    if (typeof objectId !== 'string') {
+      errors.push('String object ID expected')
+      return getResult()
+    }
+
+    try {
+      detectObjectIdLayout(objectId)
+    } catch (e) {
+      errors.push('Invalid length or unknown format version')
+      return getResult()
+    }
+
+    const parseOptions = resolveObjectIdParseOptions(objectId, { type, prefix, separator })
+    const base = getObjectIdBase(objectId, parseOptions)
+
+    if (!base) {
+      errors.push(`Prefix ${parseOptions.prefix} expected`)
+      return getResult()
+    }
+    if (typeof parseOptions.prefix !== 'string' && !/^[a-zA-Z\d]+$/.test(base.prefix)) {
+      errors.push('Alphanumeric prefix expected')
+    }
+    if (!/^[a-zA-Z\d]+$/.test(objectId.slice(base.baseString.length))) {
+      errors.push('Invalid characters after prefix')
+    }
+    if (errors.length) return getResult()
+
+    let data
+    try {
+      data = extractDataFromObjectId(objectId, parseOptions)
+    } catch (e) {
+      errors.push('Invalid platform zone or platformId')
+      return getResult()
+    }
+
+    if (!platformZones.includes(data.zone.toLowerCase())) errors.push(`Unknown platform zone ${data.zone}`)
+    if (data.timestampMs < timestampRange[0] || data.timestampMs > timestampRange[1]) {
+      errors.push('Implausible timestamp')
+    }
+
+    return getResult(data)
+  }
+
+  /**
+   * Checks `objectId` format, see parseObjectId.
+   * @param {String} objectId
+   * @param {Object} [options] - see parseObjectId
+   * @return {Boolean}
+   */
+  function isValidObjectId (objectId, options) {
+    return parseObjectId(objectId, options).hasValidFormat
+  }
+
+  /**
+   * Extracts platformId from padded string of length platformPartLength,
+   * or one char longer for wide platform part.
+   * Wrap in a try/catch since it can throw.
+   * @param {String} encodedString
+   * @param {String} [shuffler='000'] - 'XYZ' base62 string used as a mask
+   * @param {String} [options.zone=platformZones[0]] - pass empty string to allow extraction without zone
+   * @return {String}
+   */
+  function extractEncodedPlatformId (encodedString, {
+    shuffler = '000',
+    zone = platformZones[0]
+  }) {
+    const extractPlatformIdRegex = new RegExp(`${
+      zone ? `[${platformZones.join('')}]` : ''
+    }([a-zA-Z0-9]+)`, 'i')
+    const matches = encodedString.match(extractPlatformIdRegex)
+    if (!matches || matches.length < 1) {
+      throw new Error(`Can’t extract platformId from ${encodedString}${
+        shuffler ? ` with ${shuffler} shuffler` : ''
+      } in ${zone} zone.`)
+    }
+
+    const platformId = decodePlatformId(matches[1], shuffler)
+
+    if (!isValidPlatformId(platformId)) {
+      throw new Error(`Invalid platformId ${platformId}`)
+    }
+
+    return platformId
+  }
+
+  /**
+   * Returned extracted information from “public” platform ID like `e11` or `e11_live`,
+   * containing info needed to locate the platform on infrastructure built with Stelace server.
+   * Note that this function does not throw and rather sets `hasValidFormat` value to `false`
+   * in returned object if `publicPlatformId` format is invalid.
+   * @param  {String} publicPlatformId
+   * @return {Object} `{ env, platformId, zone, region, hasValidFormat }`,
+   *   `env` can be null if `_[env]` part is not provided in publicPlatformId,
+   *   and must be registered otherwise
+   */
+  function parsePublicPlatformId (publicPlatformId) {
+    let hasValidFormat = false
+    if (typeof publicPlatformId !== 'string') return { hasValidFormat }
+
+    const parts = publicPlatformId.split('_')
+    if (!parts.length || parts.length > 2) return { hasValidFormat }
+
+    const zone = parts[0].charAt(0)
+    const platformId = parts[0].slice(1)
+    const env = parts.length === 2 ? normalizeEnv(parts[1]) : null
+
+    if (typeof env === 'undefined') return { hasValidFormat }
+    if (!platformZones.includes(zone)) return { hasValidFormat }
+    if (!platformId || !isValidPlatformId(platformId)) return { hasValidFormat }
+
+    hasValidFormat = [platformId, zone].every(i => !!i)
+
+    return {
+      env,
+      platformId,
+      zone,
+      region: getZoneRegion(zone),
+      hasValidFormat
+    }
+  }
+
+  /**
+   * Builds “public” platform ID like `e11` or `e11_live`, see parsePublicPlatformId.
+   * @param  {Object} params
+   * @param  {String} params.platformId
+   * @param  {String} [params.zone=defaultZone] - one of allowed platform zones such as 'e'
+   * @param  {String} [params.env] - registered env, `_[env]` part being omitted if not provided
+   * @return {String}
+   */
+  function formatPublicPlatformId ({ platformId, zone = defaultZone, env } = {}) {
+    if (typeof platformId !== 'string' || !isValidPlatformId(platformId)) {
+      throw new Error(`Invalid platformId ${platformId}`)
+    }
+    if (!platformZones.includes(zone)) {
+      throw new Error(`Zone is expected to be one of ${platformZones.join(', ')}`)
+    }
+
+    const publicPlatformId = `${zone}${platformId}`
+    return env === null || typeof env === 'undefined'
+      ? publicPlatformId
+      : `${publicPlatformId}_${validateEnv(env)}`
+  }
+
+  /**
+   * Returns “public” platform ID of the platform `objectId` belongs to.
+   * `_[env]` part is omitted if object ID env is ambiguous, see extractDataFromObjectId.
+   * Wrap in a try/catch since it can throw.
+   * @param  {String} objectId
+   * @param  {Object} [options] - see extractDataFromObjectId
+   * @return {String}
+   */
+  function getPublicPlatformIdFromObjectId (objectId, options) {
+    const { platformId, zone, env } = extractDataFromObjectId(objectId, options)
+    return formatPublicPlatformId({ platformId, zone: zone.toLowerCase(), env })
+  }
+
+  function getZoneRegion (zone) {
+    return zones[(zone || '').toLowerCase()]
+  }
+
+  const generator = {
+    getRandomString,
+    getRandomStringSync,
+    getRandomStringRegex,
+    createSeededRandomSource,
+    secureRandomSource,
+    randomAlphabets,
+    padWithRandomChars,
+    padWithRandomCharsSync,
+    getObjectId,
+    getObjectIdSync,
+    getObjectIds,
+    getObjectIdsSync,
+    compareObjectIds,
+    getObjectIdRangeForTime,
+    registerObjectType,
+    getObjectType,
+    getObjectTypes,
+    objectIdLength,
+    objectIdLayouts,
+    latestObjectIdVersion,
+    encodePlatformId,
+    extractDataFromObjectId,
+    parseObjectId,
+    isValidObjectId,
+    extractEncodedPlatformId,
+    platformPartLength,
+    widePlatformPartLength,
+    formatPlatformZone,
+    normalizeEnv,
+    validateEnv,
+    isLiveEnv,
+    getZoneRegion,
+    getRandomPlatformId,
+    isValidPlatformId,
+    parsePublicPlatformId,
+    formatPublicPlatformId,
+    getPublicPlatformIdFromObjectId,
+    platformIdBase,
+    widePlatformIdBase,
+    maxPlatformId,
+    maxWidePlatformId,
+    platformZones,
+    zones: { ...zones },
+    defaultZone,
+    defaultZoneSource,
+    platformEnvs,
+    envs: platformEnvs.reduce((copy, env) => ({ ...copy, [env]: { ...envs[env] } }), {}),
+    defaultEnv,
+    base62Chars,
+    getObjectIdTimestampRange
+  }
+
+  return setGeneratorInternals(generator, {
+    runTask: runGeneratorTask,
+    runTaskSync: runGeneratorTaskSync,
+    getRandomStringTask,
+    encodeFormatVersion,
+    decodeFormatVersion
+  })
+}
+
+function validateObjectIdTimestamp (date, layout) {
+  const timestamp = getTimestamp(date)
+  const { minTimestamp, maxTimestamp } = getLayoutTimestampRange(layout)
+
+  if (timestamp < minTimestamp || timestamp > maxTimestamp) {
+    throw new Error(`Object ID creation time is expected to be between ${
+      new Date(minTimestamp).toISOString()
+    } and ${new Date(maxTimestamp).toISOString()}`)
+  }
+  return timestamp
+}
+
+function getTimestamp (date) {
+  const timestamp = date instanceof Date ? date.getTime() : date
+  if (typeof timestamp !== 'number' || !Number.isFinite(timestamp)) {
+    throw new Error('Date or number of milliseconds since epoch expected')
+  }
+  return timestamp
 }
 
+function validateZones (zones) {
+  const platformZones = Object.keys(zones || {})
+  if (!platformZones.length) throw new Error('At least one platform zone expected')
+
+  platformZones.forEach(zone => {
+    if (!/^[a-z]$/.test(zone)) {
+      throw new Error(`Platform zone ${zone} should be a single lowercase letter`)
+    }
+    if (!zones[zone] || typeof zones[zone] !== 'string') {
+      throw new Error(`String region name expected for ${zone} platform zone`)
+    }
+  })
+
+  return platformZones
+}
+
+function validateEnvs (envs) {
+  const platformEnvs = Object.keys(envs || {})
+  if (!platformEnvs.length) throw new Error('At least one platform env expected')
+
+  platformEnvs.forEach(env => {
+    if (!/^[a-z\d]+$/.test(env)) {
+      throw new Error(`Platform env ${env} should be made of lowercase alphanumeric chars`)
+    }
+    if (!envs[env] || typeof envs[env].isLive !== 'boolean') {
+      throw new Error(`Boolean isLive expected for ${env} platform env`)
+    }
+  })
+
+  return platformEnvs
+}
+
+const defaultGenerator = createGenerator()
+
 module.exports = {
-  getRandomString,
-  getRandomStringRegex,
-  padWithRandomChars,
-  getObjectId,
-  objectIdLength,
-  encodePlatformId,
-  extractDataFromObjectId,
-  extractEncodedPlatformId,
-  platformPartLength,
-  formatPlatformZone,
-  getRandomPlatformId,
-  isValidPlatformId,
-  parsePublicPlatformId,
-  platformIdBase,
-  maxPlatformId,
-  platformZones,
-  base62Chars
+  ...defaultGenerator,
+  createGenerator,
+  setDefaultRandomSource,
+  defaultZones,
+  defaultEnvs,
+  zoneEnvVar,
+  regionEnvVars
 }
+
+// Module exports can be used as a generator, e.g. with apiKey createApiKey
+setGeneratorInternals(module.exports, getGeneratorInternals(defaultGenerator))
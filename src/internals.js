@@ -0,0 +1,30 @@
+// Generator helpers shared with other modules of this package, by generator object,
+// so that they are neither exposed in generator objects nor in package exports
+const generatorInternals = new WeakMap()
+
+/**
+ * Registers internal helpers of `generator` object returned by createGenerator.
+ * @param  {Object} generator
+ * @param  {Object} internals
+ * @return {Object} generator
+ */
+function setGeneratorInternals (generator, internals) {
+  generatorInternals.set(generator, internals)
+  return generator
+}
+
+/**
+ * Returns internal helpers of `generator`, see setGeneratorInternals.
+ * @param  {Object} generator - object returned by createGenerator
+ * @return {Object}
+ */
+function getGeneratorInternals (generator) {
+  const internals = generatorInternals.get(generator)
+  if (!internals) throw new Error('Generator returned by createGenerator expected')
+  return internals
+}
+
+module.exports = {
+  setGeneratorInternals,
+  getGeneratorInternals
+}
@@ -0,0 +1,222 @@
+const crypto = require('crypto')
+
+const defaultApiKey = require('./apiKey')
+
+const hashAlgorithms = ['hmac-sha256', 'scrypt']
+const defaultLookupPrefixLength = 8 // random chars kept after 'type_env_' base key
+const defaultScryptParams = {
+  N: 16384,
+  r: 8,
+  p: 1,
+  keyLength: 32,
+  saltLength: 16
+}
+const hashRecordSeparator = '$'
+
+/**
+ * Serializes hash record returned by hashKey into a string such as
+ * '$scrypt$N=16384,r=8,p=1,keyLength=32$[base64 salt]$[base64 hash]'
+ * or '$hmac-sha256$$$[base64 hash]'.
+ * @param  {Object} record
+ * @return {String}
+ */
+function serializeKeyHash ({ algorithm, params = {}, salt = '', hash }) {
+  if (!hashAlgorithms.includes(algorithm)) {
+    throw new Error(`Hash algorithm is expected to be one of ${hashAlgorithms.join(', ')}`)
+  }
+  if (!hash || typeof hash !== 'string') throw new Error('String hash expected')
+
+  const serializedParams = Object.keys(params).map(k => `${k}=${params[k]}`).join(',')
+
+  return [
+    '',
+    algorithm,
+    serializedParams,
+    salt,
+    hash
+  ].join(hashRecordSeparator)
+}
+
+/**
+ * Returned hash record from string serialized with serializeKeyHash.
+ * Note that it does not throw and rather sets `hasValidFormat` value to false in returned object
+ * if `serializedHash` format is invalid.
+ * @param  {String} serializedHash
+ * @return {Object} `{ algorithm, params, salt, hash, hasValidFormat }`
+ */
+function parseKeyHash (serializedHash) {
+  let hasValidFormat = false
+  if (typeof serializedHash !== 'string') return { hasValidFormat }
+
+  const parts = serializedHash.split(hashRecordSeparator)
+  if (parts.length !== 5 || parts[0] !== '') return { hasValidFormat }
+
+  const [, algorithm, serializedParams, salt, hash] = parts
+  if (!hashAlgorithms.includes(algorithm) || !hash) return { hasValidFormat }
+
+  const params = {}
+  if (serializedParams) {
+    for (const param of serializedParams.split(',')) {
+      const [name, value] = param.split('=')
+      const intValue = parseInt(value, 10)
+      if (!name || value !== '' + intValue) return { hasValidFormat }
+      params[name] = intValue
+    }
+  }
+  if (algorithm === 'scrypt' && !salt) return { hasValidFormat }
+
+  hasValidFormat = true
+
+  return {
+    algorithm,
+    params,
+    salt,
+    hash,
+    hasValidFormat
+  }
+}
+
+function computeHmac (key, secret) {
+  return crypto.createHmac('sha256', secret).update(key).digest()
+}
+
+function computeScrypt (key, salt, { N, r, p, keyLength }) {
+  return new Promise((resolve, reject) => {
+    // default maxmem (32MB) is not enough when using higher cost than default one
+    crypto.scrypt(key, salt, keyLength, { N, r, p, maxmem: 256 * N * r }, (err, hash) => {
+      if (err) reject(err)
+      else resolve(hash)
+    })
+  })
+}
+
+/**
+ * Returns key hashing helpers relying on `apiKey` parsers to validate keys.
+ * @param {Object} [options]
+ * @param {Object} [options.apiKey] - object returned by apiKey createApiKey
+ * @return {Object}
+ */
+function createKeyHash ({ apiKey = defaultApiKey } = {}) {
+  const { getBaseKey } = apiKey
+
+  /**
+   * Returns non-secret lookup prefix of API `key`, meant to be stored in clear in an indexed
+   * column to find the hash record of a presented key with a single DB query.
+   * Made of base key 'type_env_' and a few leading chars of the random part.
+   * Keys have more than enough entropy left in remaining random chars.
+   * Throws if `key` format is invalid.
+   * @param  {String} key
+   * @param  {Object} [options]
+   * @param  {Number} [options.length=8] - number of chars to keep after base key
+   * @return {String}
+   */
+  function getKeyLookupPrefix (key, { length = defaultLookupPrefixLength } = {}) {
+    const baseKey = getValidBaseKey(key)
+    if (!Number.isInteger(length) || length < 0 || length > 12) {
+      throw new Error('Lookup prefix length is expected to be an integer in [0-12] range')
+    }
+
+    return key.slice(0, baseKey.length + length)
+  }
+
+  /**
+   * Async function hashing API `key` for storage, with HMAC-SHA256 using a server-side secret
+   * or with scrypt using a random salt.
+   * Throws if `key` format is invalid.
+   * @param  {String} key
+   * @param  {Object} [options]
+   * @param  {String} [options.algorithm='scrypt'] - 'hmac-sha256' or 'scrypt'
+   * @param  {String|Buffer} [options.secret] - required with 'hmac-sha256' algorithm
+   * @param  {Object} [options.scrypt] - scrypt parameters `{ N, r, p, keyLength, saltLength }`
+   * @return {Object} hash record `{ algorithm, params, salt, hash }`, see serializeKeyHash
+   */
+  async function hashKey (key, { algorithm = 'scrypt', secret, scrypt = {} } = {}) {
+    getValidBaseKey(key)
+
+    if (algorithm === 'hmac-sha256') {
+      if (!secret) throw new Error('Secret is required to hash key with hmac-sha256')
+
+      return {
+        algorithm,
+        params: {},
+        salt: '',
+        hash: computeHmac(key, secret).toString('base64')
+      }
+    } else if (algorithm === 'scrypt') {
+      const { saltLength, ...params } = { ...defaultScryptParams, ...scrypt }
+      const salt = await new Promise((resolve, reject) => {
+        crypto.randomBytes(saltLength, (err, buffer) => {
+          if (err) reject(new Error('Error when generating random bytes'))
+          else resolve(buffer)
+        })
+      })
+      const hash = await computeScrypt(key, salt, params)
+
+      return {
+        algorithm,
+        params,
+        salt: salt.toString('base64'),
+        hash: hash.toString('base64')
+      }
+    }
+
+    throw new Error(`Hash algorithm is expected to be one of ${hashAlgorithms.join(', ')}`)
+  }
+
+  /**
+   * Async function checking presented API `key` against stored hash in constant time.
+   * Never throws and resolves to false if `key` or `keyHash` format is invalid.
+   * @param  {String} key
+   * @param  {String|Object} keyHash - serialized hash or hash record returned by hashKey
+   * @param  {Object} [options]
+   * @param  {String|Buffer} [options.secret] - required with 'hmac-sha256' algorithm
+   * @return {Boolean}
+   */
+  async function verifyKey (key, keyHash, { secret } = {}) {
+    if (!getBaseKey(key)) return false
+
+    const record = typeof keyHash === 'string' ? parseKeyHash(keyHash) : keyHash
+    if (!record || !record.hash) return false
+
+    const expectedHash = Buffer.from(record.hash, 'base64')
+    let hash
+
+    try {
+      if (record.algorithm === 'hmac-sha256') {
+        if (!secret) return false
+        hash = computeHmac(key, secret)
+      } else if (record.algorithm === 'scrypt') {
+        hash = await computeScrypt(key, Buffer.from(record.salt, 'base64'), record.params)
+      } else {
+        return false
+      }
+    } catch (e) {
+      return false
+    }
+
+    if (hash.length !== expectedHash.length) return false
+    return crypto.timingSafeEqual(hash, expectedHash)
+  }
+
+  function getValidBaseKey (key) {
+    const baseKey = getBaseKey(key)
+    if (!baseKey) throw new Error('Invalid ApiKey format')
+    return baseKey
+  }
+
+  return {
+    getKeyLookupPrefix,
+    hashKey,
+    verifyKey,
+    serializeKeyHash,
+    parseKeyHash,
+
+    hashAlgorithms,
+    defaultScryptParams
+  }
+}
+
+module.exports = {
+  ...createKeyHash(),
+  createKeyHash
+}
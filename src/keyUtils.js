@@ -0,0 +1,47 @@
+const { createGenerator } = require('./generator')
+const { createApiKey } = require('./apiKey')
+const { createKeyHash } = require('./keyHash')
+
+/**
+ * Returns all generators and parsers bound to the same configuration.
+ * Example: `createKeyUtils({ zones: { e: 'eu-west-1', u: 'us-east-1' } })`
+ * @param {Object} [options]
+ * @param {Object} [options.zones] - single lowercase char zones mapping to server region names,
+ *   first zone being used as default if it can’t be resolved from environment variables
+ * @param {Object} [options.envs] - allowed platform envs stating if they are live,
+ *   such as `{ live: { isLive: true }, test: { isLive: false } }`
+ * @param {Array<Object>} [options.objectTypes] - object types to register, see registerObjectType
+ * @param {Array<Object>} [options.keyTypes] - custom key types to register, see registerKeyType
+ * @param {Object} [options.randomSource] - such as a seeded source for reproducible output,
+ *   see createSeededRandomSource
+ * @param {Function} [options.now=Date.now] - clock returning current time in milliseconds,
+ *   used to generate object IDs and to check key expiry
+ * @param {Object} [options.processEnv=process.env] - environment variables to resolve default zone from
+ * @param {Boolean} [options.strictZone=false] - throw if default zone can’t be resolved
+ *   from environment variables, see createGenerator
+ * @return {Object}
+ */
+function createKeyUtils ({
+  zones,
+  envs,
+  objectTypes,
+  keyTypes,
+  randomSource,
+  now,
+  processEnv,
+  strictZone
+} = {}) {
+  const generator = createGenerator({ zones, envs, objectTypes, randomSource, now, processEnv, strictZone })
+  const apiKey = createApiKey({ generator, keyTypes, now })
+  const keyHash = createKeyHash({ apiKey })
+
+  return {
+    ...generator,
+    ...apiKey,
+    ...keyHash
+  }
+}
+
+module.exports = {
+  createKeyUtils
+}
@@ -2,13 +2,37 @@ const test = require('ava')
 
 const {
   platformZones,
-  getRandomPlatformId
+  getRandomPlatformId,
+  parsePublicPlatformId,
+  maxPlatformId,
+  maxWidePlatformId
 } = require('../src/generator')
 const {
   generateKey,
-  parseKey
+  generateKeySync,
+  generateKeyPair,
+  generateKeyPairSync,
+  areKeysPaired,
+  parseKey,
+  verifyKeySignature,
+  getKeyChecksum,
+  getPublicPlatformIdFromKey,
+  findKeysInText,
+  redactKey,
+  redactText,
+  getSecretKeyRegex,
+  keyRegex,
+  createApiKey,
+  getKeyType,
+  checksumLength,
+  latestKeyVersion
 } = require('../src/apiKey')
 
+// Node crypto module is missing in web test run, see helpers/webCrypto.js
+const hasNodeCrypto = !process.env.STELACE_TEST_NO_NODE_CRYPTO
+const nodeCryptoTest = hasNodeCrypto ? test : test.skip
+const webCryptoTest = hasNodeCrypto ? test.skip : test
+
 test('generates valid keys for a given platformId', async (t) => {
   const type = 'seck'
   const env = 'test'
@@ -19,7 +43,7 @@ test('generates valid keys for a given platformId', async (t) => {
     const key = await generateKey({ type, env, platformId })
 
     t.true(key.startsWith(expectedPrefix))
-    t.is(key.length, 32 + expectedPrefix.length)
+    t.is(key.length, 1 + 32 + checksumLength + expectedPrefix.length)
   }
 })
 
@@ -29,17 +53,26 @@ test('generates valid custom keys', async (t) => {
   const expectedPrefix = `${type}_${env}_`
 
   for (let i = 0; i < 100; i++) {
-    const platformId = getRandomPlatformId()
+    const platformId = getRandomPlatformId({ widePlatform: false })
     const key = await generateKey({ type, env, platformId })
 
     t.true(key.startsWith(expectedPrefix))
-    t.is(key.length, 32 + expectedPrefix.length)
+    t.is(key.length, 1 + 32 + checksumLength + expectedPrefix.length)
 
     t.deepEqual(parseKey(key), {
       type,
+      keyType: getKeyType(type),
       env,
       platformId,
       zone: platformZones[0],
+      region: 'eu-west-1',
+      version: 4,
+      signingKeyId: null,
+      expiresAt: null,
+      isExpired: false,
+      link: null,
+      hasChecksum: true,
+      hasValidChecksum: true,
       hasValidFormat: true
     })
   }
@@ -69,22 +102,470 @@ test('parses a valid key', async (t) => {
 
     t.deepEqual(parseKey(key), {
       type,
+      keyType: getKeyType(type),
       env,
       platformId,
       zone,
+      region: 'eu-west-1',
+      version: 4,
+      signingKeyId: null,
+      expiresAt: null,
+      isExpired: false,
+      link: null,
+      hasChecksum: true,
+      hasValidChecksum: true,
       hasValidFormat: true
     })
   }
 })
 
+test('rejects a key with a single mistyped character', async (t) => {
+  const key = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+  const typoIndex = 'seck_live_'.length + 1 // random char not affecting platformId
+  const typoChar = key.charAt(typoIndex) === 'a' ? 'b' : 'a'
+  const mistyped = key.slice(0, typoIndex) + typoChar + key.slice(typoIndex + 1)
+
+  t.like(parseKey(mistyped), {
+    platformId: '12',
+    hasChecksum: true,
+    hasValidChecksum: false,
+    hasValidFormat: false
+  })
+})
+
+test('parses a legacy key without checksum', async (t) => {
+  t.deepEqual(parseKey('seck_live_AYTxTndk2GC0E1dFevEOG9bogGhiqdFT'), {
+    type: 'seck',
+    keyType: getKeyType('seck'),
+    env: 'live',
+    platformId: '12',
+    zone: 'e',
+    region: 'eu-west-1',
+    version: 3,
+    signingKeyId: null,
+    expiresAt: null,
+    isExpired: false,
+    link: null,
+    hasChecksum: false,
+    hasValidChecksum: false,
+    hasValidFormat: true
+  })
+})
+
+test('rejects truncated and padded keys', async (t) => {
+  const legacyKey = 'seck_live_AYTxTndk2GC0E1dFevEOG9bogGhiqdFT'
+  const v3Key = await generateKey({ type: 'seck', env: 'live', platformId: '12', version: 3 })
+  const v4Key = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+
+  for (const key of [legacyKey, v3Key, v4Key]) {
+    t.true(parseKey(key).hasValidFormat)
+    t.false(parseKey(key + 'a').hasValidFormat, key)
+    t.false(parseKey(key + 'abcdefghij').hasValidFormat, key)
+  }
+
+  // Keys with checksum must have their exact layout length
+  for (const key of [v3Key, v4Key]) {
+    t.false(parseKey(key.slice(0, -1)).hasValidFormat, key)
+    t.false(parseKey(key.slice(0, 20) + key.slice(21)).hasValidFormat, key)
+  }
+})
+
+test('generates and parses keys of a given format version', async (t) => {
+  const platformId = '12'
+  const v3Key = await generateKey({ type: 'seck', env: 'live', platformId, version: 3 })
+  const v4Key = await generateKey({ type: 'seck', env: 'live', platformId, version: 4 })
+
+  t.is(v3Key.length, 'seck_live_'.length + 32 + checksumLength)
+  t.is(v4Key.length, 'seck_live_'.length + 1 + 32 + checksumLength)
+  t.is(v4Key.charAt('seck_live_'.length), '4')
+
+  t.like(parseKey(v3Key), { platformId, version: 3, hasChecksum: true, hasValidFormat: true })
+  t.like(parseKey(v4Key), { platformId, version: 4, hasChecksum: true, hasValidFormat: true })
+  t.is(latestKeyVersion, 4)
+
+  await t.throwsAsync(async () => generateKey({ type: 'seck', env: 'live', platformId, version: 2 }), {
+    message: /version/i
+  })
+})
+
+test('generates and parses keys with wide platform part', async (t) => {
+  const widePlatformId = (maxPlatformId + 1).toString()
+  const wideKeyLength = 'seck_live_'.length + 1 + 33 + checksumLength
+  // getRandomPlatformId can return platformIds fitting in 4 chars
+  const randomWidePlatformId = (maxPlatformId + 1 + Math.floor(Math.random() * (maxWidePlatformId - maxPlatformId)))
+    .toString()
+
+  for (const platformId of [widePlatformId, maxWidePlatformId.toString(), randomWidePlatformId]) {
+    const key = await generateKey({ type: 'seck', env: 'live', platformId, zone: 's' })
+
+    t.is(key.length, wideKeyLength)
+    t.is(key.charAt('seck_live_'.length), 'C') // version 4 with wide platform flag
+    t.like(parseKey(key), { platformId, zone: 's', version: 4, hasValidChecksum: true, hasValidFormat: true })
+    t.is(getPublicPlatformIdFromKey(key), `s${platformId}_live`)
+    t.deepEqual(findKeysInText(`key: ${key}`).map(({ key }) => key), [key])
+  }
+
+  const forcedWideKey = generateKeySync({ type: 'pubk', env: 'test', platformId: '12', widePlatform: true })
+  t.is(forcedWideKey.length, 'pubk_test_'.length + 1 + 33 + checksumLength)
+  t.like(parseKey(forcedWideKey), { platformId: '12', hasValidFormat: true })
+
+  // Existing keys with 4-char platform part are still parsed
+  const narrowKey = await generateKey({ type: 'seck', env: 'live', platformId: maxPlatformId.toString() })
+  t.is(narrowKey.length, wideKeyLength - 1)
+  t.like(parseKey(narrowKey), { platformId: maxPlatformId.toString(), version: 4, hasValidFormat: true })
+
+  await t.throwsAsync(async () => generateKey({ type: 'seck', env: 'live', platformId: widePlatformId, version: 3 }), {
+    message: /version 4/
+  })
+  await t.throwsAsync(async () => generateKey({
+    type: 'seck',
+    env: 'live',
+    platformId: (maxWidePlatformId + 1).toString()
+  }), { message: /range/ })
+})
+
+nodeCryptoTest('generates signed keys that can be verified offline', async (t) => {
+  const oldSecret = { keyId: '1', secret: 'old signing secret' }
+  const newSecret = { keyId: '2', secret: Buffer.from('new signing secret') }
+  const platformId = '12'
+
+  const key = await generateKey({ type: 'seck', env: 'live', platformId, signingSecret: newSecret })
+  const wideKey = generateKeySync({
+    type: 'pubk',
+    env: 'test',
+    platformId: getRandomPlatformId(),
+    signingSecret: oldSecret,
+    widePlatform: true
+  })
+  const unsignedKey = await generateKey({ type: 'seck', env: 'live', platformId })
+
+  t.is(key.length, unsignedKey.length + 16)
+  t.like(parseKey(key), { platformId, version: 4, signingKeyId: '2', hasValidFormat: true })
+  t.like(parseKey(wideKey), { version: 4, signingKeyId: '1', hasValidFormat: true })
+  t.deepEqual(findKeysInText(`keys: ${key} ${wideKey}`).map(({ key }) => key), [key, wideKey])
+
+  // Both secrets are active during rotation
+  const secrets = [oldSecret, newSecret]
+  t.true(verifyKeySignature(key, secrets))
+  t.true(verifyKeySignature(wideKey, secrets))
+  t.false(verifyKeySignature(key, [oldSecret]))
+  t.false(verifyKeySignature(key, [{ keyId: '2', secret: 'other secret' }]))
+  t.false(verifyKeySignature(unsignedKey, secrets))
+  t.false(verifyKeySignature('seck_live_invalid', secrets))
+
+  // Forged key with valid checksum
+  const signatureIndex = key.length - checksumLength - 14
+  const forgedBody = key.slice(0, signatureIndex) + (key.charAt(signatureIndex) === 'a' ? 'b' : 'a') +
+    key.slice(signatureIndex + 1, -checksumLength)
+  const forgedKey = forgedBody + getKeyChecksum(forgedBody)
+  t.like(parseKey(forgedKey), { signingKeyId: '2', hasValidFormat: true })
+  t.false(verifyKeySignature(forgedKey, secrets))
+
+  t.throws(() => verifyKeySignature(key, newSecret), { message: /array/i })
+  await t.throwsAsync(async () => generateKey({
+    type: 'seck',
+    env: 'live',
+    platformId,
+    signingSecret: { keyId: '10', secret: 'secret' }
+  }), { message: /keyId/ })
+  t.throws(() => generateKeySync({ type: 'seck', env: 'live', platformId, signingSecret: { keyId: '1' } }), {
+    message: /secret/
+  })
+  t.throws(() => generateKeySync({ type: 'seck', env: 'live', platformId, signingSecret: oldSecret, version: 3 }), {
+    message: /version 4/
+  })
+})
+
+test('generates expiring keys', async (t) => {
+  let clock = Date.UTC(2030, 0, 1)
+  const { generateKey, generateKeySync, parseKey } = createApiKey({ now: () => clock })
+  const expiresAt = new Date(clock + 3600 * 1000)
+
+  const key = await generateKey({ type: 'seck', env: 'live', platformId: '12', expiresAt })
+  const permanentKey = generateKeySync({ type: 'seck', env: 'live', platformId: '12' })
+
+  t.is(key.length, permanentKey.length + 7)
+  t.like(parseKey(key), { platformId: '12', expiresAt, isExpired: false, hasValidFormat: true })
+
+  clock = expiresAt.getTime()
+  t.like(parseKey(key), { expiresAt, isExpired: true, hasValidFormat: true })
+  t.like(parseKey(permanentKey), { expiresAt: null, isExpired: false, hasValidFormat: true })
+
+  await t.throwsAsync(async () => generateKey({ type: 'seck', env: 'live', platformId: '12', expiresAt: 'tomorrow' }), {
+    message: /expiry/
+  })
+  t.throws(() => generateKeySync({ type: 'seck', env: 'live', platformId: '12', expiresAt: Date.UTC(4000, 0) }), {
+    message: /expiry/
+  })
+})
+
+nodeCryptoTest('generates signed expiring keys', (t) => {
+  let clock = Date.UTC(2030, 0, 1)
+  const { generateKeySync, parseKey, verifyKeySignature } = createApiKey({ now: () => clock })
+  const expiresAt = new Date(clock + 3600 * 1000)
+  const signingSecret = { keyId: '1', secret: 'signing secret' }
+
+  const signedKey = generateKeySync({
+    type: 'seck',
+    env: 'live',
+    platformId: '12',
+    expiresAt: expiresAt.getTime() + 999, // 1-second precision
+    signingSecret
+  })
+
+  t.like(parseKey(signedKey), { expiresAt, isExpired: false, signingKeyId: '1', hasValidFormat: true })
+  t.true(verifyKeySignature(signedKey, [signingSecret]))
+
+  clock = expiresAt.getTime()
+  t.like(parseKey(signedKey), { isExpired: true, hasValidFormat: true })
+
+  // Expiry is signed
+  const expiryIndex = signedKey.length - checksumLength - 16 - 6 // followed by signature extension
+  const tamperedBody = signedKey.slice(0, expiryIndex) + 'z' + signedKey.slice(expiryIndex + 1, -checksumLength)
+  const tamperedKey = tamperedBody + getKeyChecksum(tamperedBody)
+  t.like(parseKey(tamperedKey), { isExpired: false, hasValidFormat: true })
+  t.false(verifyKeySignature(tamperedKey, [signingSecret]))
+})
+
+test('generates linked key pairs', async (t) => {
+  const platformId = '12'
+  const { secretKey, publishableKey } = await generateKeyPair({ env: 'live', platformId, zone: 's' })
+  const otherPair = generateKeyPairSync({ env: 'live', platformId })
+  const unlinkedKey = await generateKey({ type: 'pubk', env: 'live', platformId, zone: 's' })
+
+  const parsedSecretKey = parseKey(secretKey)
+  const parsedPublishableKey = parseKey(publishableKey)
+  t.like(parsedSecretKey, { type: 'seck', env: 'live', platformId, zone: 's', hasValidFormat: true })
+  t.like(parsedPublishableKey, { type: 'pubk', env: 'live', platformId, zone: 's', hasValidFormat: true })
+  t.is(parsedSecretKey.link.length, 8)
+  t.is(parsedSecretKey.link, parsedPublishableKey.link)
+  t.is(unlinkedKey.length, publishableKey.length - 9)
+
+  t.true(areKeysPaired(secretKey, publishableKey))
+  t.true(areKeysPaired(publishableKey, secretKey))
+  t.true(areKeysPaired(otherPair.secretKey, otherPair.publishableKey))
+  t.false(areKeysPaired(secretKey, otherPair.publishableKey))
+  t.false(areKeysPaired(secretKey, secretKey))
+  t.false(areKeysPaired(unlinkedKey, secretKey))
+  t.false(areKeysPaired(secretKey, 'pubk_live_invalid'))
+
+  await t.throwsAsync(async () => generateKeyPair({ env: 'test' }), { message: /platform id/i })
+  t.throws(() => generateKeyPairSync({ env: 'prod', platformId }), { message: /env/i })
+})
+
+nodeCryptoTest('generates signed key pairs', async (t) => {
+  const platformId = '12'
+  const signingSecret = { keyId: '1', secret: 'signing secret' }
+  const expiresAt = new Date(Date.UTC(2030, 0, 1))
+
+  // Options of both keys
+  const signedPair = await generateKeyPair({ env: 'test', platformId, expiresAt, signingSecret })
+  t.like(parseKey(signedPair.secretKey), { env: 'test', expiresAt, signingKeyId: '1', hasValidFormat: true })
+  t.true(verifyKeySignature(signedPair.publishableKey, [signingSecret]))
+  t.true(areKeysPaired(signedPair.secretKey, signedPair.publishableKey))
+})
+
+webCryptoTest('requires Node crypto module to sign keys', async (t) => {
+  const platformId = '12'
+  const signingSecret = { keyId: '1', secret: 'signing secret' }
+  const message = 'ApiKey signatures require Node crypto module'
+
+  await t.throwsAsync(async () => generateKey({ type: 'seck', env: 'live', platformId, signingSecret }), { message })
+  t.throws(() => generateKeyPairSync({ env: 'live', platformId, signingSecret }), { message })
+
+  // Signed keys can still be parsed
+  const signedKey = 'seck_live_KsZAnq7q8iTGgE1g6CptAFy1M6sfLjg61s19eCTSpqDc0Y5Ny0gJtTm' // signed with signingSecret
+  t.like(parseKey(signedKey), { platformId, signingKeyId: '1', hasValidFormat: true })
+  t.throws(() => verifyKeySignature(signedKey, [signingSecret]), { message })
+})
+
+test('generates keys synchronously', (t) => {
+  const platformId = getRandomPlatformId()
+  const key = generateKeySync({ type: 'pubk', env: 'test', platformId })
+
+  t.true(key.startsWith('pubk_test_'))
+  t.like(parseKey(key), { type: 'pubk', env: 'test', platformId, version: 4, hasValidFormat: true })
+  t.throws(() => generateKeySync({ type: 'tooLongType', env: 'test', platformId }), {
+    message: /custom apikey type/i
+  })
+})
+
+test('returns key type metadata', async (t) => {
+  t.deepEqual(getKeyType('seck'), {
+    type: 'seck',
+    displayName: 'Secret key',
+    secret: true,
+    envs: null,
+    deprecated: false,
+    registered: true
+  })
+  t.like(getKeyType('pubk'), { secret: false })
+  t.like(getKeyType('cntk'), { secret: false })
+  // Unregistered custom types are considered secret
+  t.like(getKeyType('customKey1'), { secret: true, registered: false })
+  t.is(getKeyType('inv'), undefined)
+
+  const key = await generateKey({ type: 'pubk', env: 'live', platformId: '1' })
+  t.like(parseKey(key).keyType, { type: 'pubk', displayName: 'Publishable key', secret: false })
+  t.is(parseKey('inv_live_iuJzTKo5wumuE1inRjmcgimx').keyType, null)
+})
+
+test('enforces rules of registered key types', async (t) => {
+  const { generateKey, parseKey, registerKeyType, getKeyTypes } = createApiKey({
+    keyTypes: [
+      { type: 'webhook', displayName: 'Webhook key', secret: true, envs: ['live'] },
+      { type: 'legacykey', deprecated: true, secret: false }
+    ]
+  })
+  const platformId = getRandomPlatformId()
+
+  t.deepEqual(getKeyTypes().map(keyType => keyType.type), ['seck', 'pubk', 'cntk', 'webhook', 'legacykey'])
+
+  const webhookKey = await generateKey({ type: 'webhook', env: 'live', platformId })
+  t.like(parseKey(webhookKey), {
+    keyType: { displayName: 'Webhook key', secret: true, envs: ['live'] },
+    hasValidFormat: true
+  })
+  await t.throwsAsync(() => generateKey({ type: 'webhook', env: 'test', platformId }), {
+    message: /only allowed in live/
+  })
+
+  await t.throwsAsync(() => generateKey({ type: 'legacykey', env: 'live', platformId }), { message: /deprecated/ })
+  // Deprecated keys generated before can still be parsed
+  const legacyKey = generateKeySync({ type: 'legacykey', env: 'live', platformId })
+  t.like(parseKey(legacyKey), { keyType: { deprecated: true, secret: false }, hasValidFormat: true })
+
+  // Env not allowed by registered key type of key generated without registry
+  const testWebhookKey = generateKeySync({ type: 'webhook', env: 'test', platformId })
+  t.like(parseKey(testWebhookKey), { type: 'webhook', hasValidFormat: false })
+
+  t.throws(() => registerKeyType({ type: 'webhook' }), { message: /already registered/ })
+  t.throws(() => registerKeyType({ type: 'seck' }), { message: /custom apikey type/i })
+  t.throws(() => registerKeyType({ type: 'tooLongType' }), { message: /custom apikey type/i })
+  t.throws(() => registerKeyType({ type: 'apiKey2', envs: [] }), { message: /envs/ })
+  t.throws(() => registerKeyType({ type: 'apiKey2', secret: 'yes' }), { message: /Boolean/ })
+})
+
+test('gets public platform ID from key', async (t) => {
+  const platformId = getRandomPlatformId()
+  const key = await generateKey({ type: 'seck', env: 'live', platformId, zone: 's' })
+
+  t.is(getPublicPlatformIdFromKey(key), `s${platformId}_live`)
+  t.like(parsePublicPlatformId(getPublicPlatformIdFromKey(key)), { platformId, zone: 's', env: 'live' })
+  t.is(getPublicPlatformIdFromKey('seck_live_AYTxTndk2GC0E1dFevEOG9bogGhiqdFT'), 'e12_live')
+  t.throws(() => getPublicPlatformIdFromKey('seck_live_invalid'), { message: /invalid apikey format/i })
+})
+
+test('finds keys in text', async (t) => {
+  const secretKey = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+  const publishableKey = await generateKey({ type: 'pubk', env: 'test', platformId: '12' })
+  const legacyKey = 'seck_live_AYTxTndk2GC0E1dFevEOG9bogGhiqdFT'
+  const mistypedKey = secretKey.slice(0, -1) + (secretKey.slice(-1) === 'a' ? 'b' : 'a')
+  const text = `Authorization: Basic ${secretKey}\n` +
+    `x-api-key=${publishableKey}, legacy "${legacyKey}", mistyped ${mistypedKey}, not_a_key`
+
+  const keys = findKeysInText(text)
+  t.deepEqual(keys.map(({ key }) => key), [secretKey, publishableKey, legacyKey])
+  keys.forEach(({ key, start, end, parsedKey }) => {
+    t.is(text.slice(start, end), key)
+    t.deepEqual(parsedKey, parseKey(key))
+  })
+  t.deepEqual(findKeysInText('no key here'), [])
+  t.throws(() => findKeysInText(null), { message: /string text/i })
+})
+
+test('redacts keys', async (t) => {
+  const secretKey = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+  const otherSecretKey = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+  const customKey = await generateKey({ type: 'customKey1', env: 'test', platformId: '12' })
+  const publishableKey = await generateKey({ type: 'pubk', env: 'live', platformId: '12' })
+
+  const redactedKey = redactKey(secretKey)
+  t.regex(redactedKey, /^seck_live_\*\*\*[a-zA-Z\d]{6}$/)
+  t.is(redactKey(secretKey), redactedKey)
+  t.not(redactKey(otherSecretKey), redactedKey)
+  t.is(redactKey('seck_live_invalid'), '***')
+
+  const text = `secret ${secretKey}, custom ${customKey} and publishable ${publishableKey}`
+  t.is(
+    redactText(text),
+    `secret ${redactedKey}, custom ${redactKey(customKey)} and publishable ${publishableKey}`
+  )
+  t.false(redactText(text).includes(secretKey.slice(10)))
+})
+
+test('redacts keys glued to surrounding chars', async (t) => {
+  const secretKey = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+  const legacyKey = 'seck_live_AYTxTndk2GC0E1dFevEOG9bogGhiqdFT'
+  const redactedKey = redactKey(secretKey)
+
+  t.is(redactText(`KEY_${secretKey}`), `KEY_${redactedKey}`)
+  t.is(redactText(`q=%22${secretKey}%22`), `q=%22${redactedKey}%22`)
+  t.is(redactText(JSON.stringify({ env: `A=1\nB=${secretKey}` })), JSON.stringify({ env: `A=1\nB=${redactedKey}` }))
+  t.is(redactText(`${secretKey}_end`), `${redactedKey}_end`)
+  t.is(redactText(`KEY_${legacyKey}_end`), `KEY_${redactKey(legacyKey)}_end`)
+  t.is(redactText(`\\n${legacyKey}`), `\\n${redactKey(legacyKey)}`)
+
+  const [{ key, start }] = findKeysInText(`%22${secretKey}%22`)
+  t.is(key, secretKey)
+  t.is(start, 3)
+
+  const secretKeyRegex = getSecretKeyRegex()
+  t.regex(`KEY_${secretKey}_end`, secretKeyRegex)
+  t.regex(`%22${secretKey}%22`, secretKeyRegex)
+  t.regex(`\\n${secretKey}`, secretKeyRegex)
+  t.false(keyRegex.test(`${secretKey}${'0'.repeat(100)}`))
+})
+
+test('redacts truncated and mistyped secret keys', async (t) => {
+  const secretKey = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+  const legacyKey = 'seck_live_AYTxTndk2GC0E1dFevEOG9bogGhiqdFT'
+  const mistypedKey = secretKey.slice(0, 20) + (secretKey.charAt(20) === 'a' ? 'b' : 'a') + secretKey.slice(21)
+  const publishableKey = await generateKey({ type: 'pubk', env: 'live', platformId: '12' })
+
+  t.is(redactText(`log: ${secretKey.slice(0, -1)}`), 'log: seck_live_***')
+  t.is(redactText(`log: ${mistypedKey}, ${secretKey}`), `log: seck_live_***, ${redactKey(secretKey)}`)
+  t.is(redactText(`KEY_${legacyKey.slice(0, -2)}mm_end`), 'KEY_seck_live_***_end')
+
+  // Invalid non-secret keys are kept
+  t.is(redactText(`log: ${publishableKey.slice(0, -1)}`), `log: ${publishableKey.slice(0, -1)}`)
+})
+
+test('exports key patterns for secret scanning', async (t) => {
+  const secretKey = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+  const publishableKey = await generateKey({ type: 'pubk', env: 'live', platformId: '12' })
+  const secretKeyRegex = getSecretKeyRegex()
+
+  t.true(keyRegex.test(secretKey))
+  t.true(keyRegex.test(publishableKey))
+  t.true(keyRegex.test('seck_live_AYTxTndk2GC0E1dFevEOG9bogGhiqdFT'))
+  t.false(keyRegex.test('seck_live_short'))
+
+  t.true(secretKeyRegex.test(`"${secretKey}"`))
+  t.false(secretKeyRegex.test(publishableKey))
+  t.false(secretKeyRegex.test(secretKey.replace('_live_', '_prod_')))
+
+  const { getSecretKeyRegex: getCustomSecretKeyRegex } = createApiKey({ keyTypes: [{ type: 'webhook' }] })
+  t.true(getCustomSecretKeyRegex().test(secretKey.replace('seck_', 'webhook_')))
+})
+
 test('rejects a forged key with invalid platform id / mask', async (t) => {
   t.is(parseKey('pubk_live_iuJzTKo5wumuE1imRjmcgimx').hasValidFormat, false)
 
   t.deepEqual(parseKey('pubk_live_iuJzTKo5wumuE1inRjmcgimx'), {
     type: 'pubk',
+    keyType: getKeyType('pubk'),
     env: 'live',
     platformId: '31',
     zone: 'e',
+    region: 'eu-west-1',
+    version: 3,
+    signingKeyId: null,
+    expiresAt: null,
+    isExpired: false,
+    link: null,
+    hasChecksum: false,
+    hasValidChecksum: false,
     hasValidFormat: true
   })
 })
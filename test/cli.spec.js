@@ -0,0 +1,115 @@
+const test = require('ava')
+const { spawnSync } = require('child_process')
+const path = require('path')
+const { Readable, Writable } = require('stream')
+
+const { runCli } = require('../src/cli')
+const { generateKey, parseKey } = require('../src/apiKey')
+const { getObjectId, extractDataFromObjectId } = require('../src/generator')
+
+async function run (args, { input = '' } = {}) {
+  let stdout = ''
+  let stderr = ''
+  const getWritable = write => new Writable({
+    write (chunk, encoding, callback) {
+      write(chunk.toString())
+      callback()
+    }
+  })
+
+  const exitCode = await runCli(args, {
+    stdin: Readable.from([input]),
+    stdout: getWritable(str => { stdout += str }),
+    stderr: getWritable(str => { stderr += str })
+  })
+
+  return { exitCode, stdout, stderr, lines: stdout.split('\n').filter(line => !!line) }
+}
+
+test('generates keys and object IDs', async (t) => {
+  const keyResult = await run(['generate-key', '--type', 'seck', '--env=live', '--platform-id', '12'])
+  t.is(keyResult.exitCode, 0)
+  t.like(parseKey(keyResult.lines[0]), { type: 'seck', env: 'live', platformId: '12', hasValidFormat: true })
+
+  const expiresAt = '2030-01-01T00:00:00.000Z'
+  const expiringKeyResult = await run(['generate-key', '--type', 'seck', '--env=live', '--platform-id', '12',
+    '--expires-at', expiresAt])
+  t.deepEqual(parseKey(expiringKeyResult.lines[0]).expiresAt, new Date(expiresAt))
+  t.like(JSON.parse((await run(['inspect', expiringKeyResult.lines[0], '--json'])).lines[0]), { expiresAt })
+
+  const idResult = await run(['generate-id', '--prefix', 'ast', '--platform-id', '12', '--sortable', '--count', '3'])
+  t.is(idResult.exitCode, 0)
+  t.is(idResult.lines.length, 3)
+  idResult.lines.forEach(id => t.like(extractDataFromObjectId(id), { object: 'ast', platformId: '12', sortable: true }))
+
+  const wideIdResult = await run(['generate-id', '--prefix', 'ast', '--platform-id', '12', '--wide-platform'])
+  t.like(extractDataFromObjectId(wideIdResult.lines[0]), { platformId: '12', widePlatform: true })
+
+  const v3IdResult = await run(['generate-id', '--prefix', 'ast', '--format-version', '3'])
+  t.like(extractDataFromObjectId(v3IdResult.lines[0]), { version: 3 })
+  const v3KeyResult = await run(['generate-key', '--type', 'seck', '--env', 'test', '--platform-id', '12',
+    '--format-version=3'])
+  t.like(parseKey(v3KeyResult.lines[0]), { version: 3, hasValidFormat: true })
+
+  const platformIdResult = await run(['random-platform-id', '--count', '2', '--json'])
+  t.is(platformIdResult.lines.length, 2)
+  platformIdResult.lines.forEach(line => t.regex(JSON.parse(line), /^\d+$/))
+})
+
+test('inspects keys, object IDs and public platform IDs', async (t) => {
+  const key = await generateKey({ type: 'pubk', env: 'test', platformId: '12' })
+  const objectId = await getObjectId({ prefix: 'ast', platformId: '12', env: 'live' })
+
+  const { exitCode, lines } = await run(['inspect', key, objectId, 'e12_live', '--json'])
+  t.is(exitCode, 0)
+
+  const [inspectedKey, inspectedObjectId, inspectedPublicPlatformId] = lines.map(line => JSON.parse(line))
+  t.like(inspectedKey, { value: key, kind: 'key', type: 'pubk', platformId: '12', secret: false })
+  t.like(inspectedObjectId, { value: objectId, kind: 'objectId', object: 'ast', isLive: true })
+  t.true(Math.abs(new Date(inspectedObjectId.createdAt).getTime() - Date.now()) < 2000)
+  t.like(inspectedPublicPlatformId, { kind: 'publicPlatformId', platformId: '12', env: 'live' })
+
+  const textResult = await run(['inspect', objectId])
+  t.is(textResult.lines[0], objectId)
+  t.true(textResult.lines.includes('  kind: objectId'))
+  t.true(textResult.lines.some(line => /^ {2}createdAt: \d{4}-\d\d-\d\dT/.test(line)))
+})
+
+test('supports stdin batch mode', async (t) => {
+  const key = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+
+  const inspectResult = await run(['inspect', '--stdin', '--json'], { input: `${key}\ninvalid\n\ne11\n` })
+  t.is(inspectResult.exitCode, 1)
+  t.deepEqual(inspectResult.lines.map(line => JSON.parse(line).kind), ['key', 'publicPlatformId'])
+  t.regex(inspectResult.stderr, /^invalid: Unknown format/)
+
+  const generateResult = await run(['generate-key', '--type', 'seck', '--env', 'test', '--stdin'], {
+    input: '{ "platformId": "1" }\n{ "platformId": "2", "env": "live" }\n'
+  })
+  t.is(generateResult.exitCode, 0)
+  t.like(parseKey(generateResult.lines[0]), { platformId: '1', env: 'test' })
+  t.like(parseKey(generateResult.lines[1]), { platformId: '2', env: 'live' })
+
+  const invalidResult = await run(['generate-id', '--prefix', 'ast', '--stdin'], { input: 'not json\n' })
+  t.is(invalidResult.exitCode, 1)
+  t.regex(invalidResult.stderr, /JSON object of options expected/)
+})
+
+test('reports usage errors', async (t) => {
+  t.like(await run([]), { exitCode: 2 })
+  t.like(await run(['unknown']), { exitCode: 2 })
+  t.like(await run(['generate-key', '--type']), { exitCode: 2 })
+  t.like(await run(['--help']), { exitCode: 0 })
+  t.like(await run(['--version']), { exitCode: 0, stdout: `${require('../package.json').version}\n` })
+  t.like(await run(['generate-key', '--type', 'seck']), { exitCode: 1 })
+})
+
+test('runs as executable', (t) => {
+  const result = spawnSync(process.execPath, [path.join(__dirname, '../bin/stelace-keys.js'), 'inspect', 'e12'], {
+    encoding: 'utf8',
+    timeout: 10000
+  })
+
+  t.is(result.status, 0)
+  t.regex(result.stdout, /kind: publicPlatformId/)
+})
@@ -4,18 +4,34 @@ const { performance } = require('perf_hooks')
 
 const {
   getRandomString,
+  getRandomStringSync,
   getRandomStringRegex,
+  randomAlphabets,
   padWithRandomChars,
+  padWithRandomCharsSync,
   getObjectId,
+  getObjectIdSync,
+  getObjectIds,
+  getObjectIdsSync,
+  compareObjectIds,
+  getObjectIdTimestampRange,
+  createGenerator,
   objectIdLength,
+  objectIdLayouts,
   getRandomPlatformId,
   isValidPlatformId,
   encodePlatformId,
   extractEncodedPlatformId,
   extractDataFromObjectId,
+  parseObjectId,
+  isValidObjectId,
   parsePublicPlatformId,
+  formatPublicPlatformId,
+  getZoneRegion,
+  getPublicPlatformIdFromObjectId,
   platformZones,
-  maxPlatformId
+  maxPlatformId,
+  maxWidePlatformId
 } = require('../src/generator')
 
 test('generates a random string of given length', async (t) => {
@@ -32,6 +48,17 @@ test('generates a random padded string', async (t) => {
   t.is((await padWithRandomChars(base, length)).length, 10)
 })
 
+test('generates random strings synchronously', (t) => {
+  t.true(getRandomStringRegex(10).test(getRandomStringSync(10)))
+  t.true(getRandomStringRegex(16, { prefix: 'TEST' }).test(getRandomStringSync(16, { prefix: 'TEST' })))
+  t.is(getRandomStringSync(5, { prefix: '9Char', separator: 'LONG' }), '9CharLONG')
+  t.throws(() => getRandomStringSync(16, { prefix: 0 }), { message: /string/i })
+
+  const padded = padWithRandomCharsSync('123', 10, { position: 'left' })
+  t.is(padded.length, 10)
+  t.true(padded.endsWith('123'))
+})
+
 test('generates a random string of given length with empty options', async (t) => {
   const randomString = await getRandomString(10, {})
 
@@ -93,6 +120,49 @@ test('generates strings with figures and randomly cased letters only', async (t)
   t.true(randomStrings.every(string => getRandomStringRegex(stringLength).test(string)))
 })
 
+test('generates random strings with named or custom alphabets', async (t) => {
+  const alphabets = Object.keys(randomAlphabets).concat(['01', '-]^\\ab'])
+
+  for (const alphabet of alphabets) {
+    const regex = getRandomStringRegex(32, { prefix: 'TEST', alphabet })
+
+    for (let i = 0; i < 100; i++) {
+      const randomString = await getRandomString(32, { prefix: 'TEST', alphabet })
+      t.true(regex.test(randomString), `${randomString} does not match ${alphabet} alphabet`)
+    }
+  }
+
+  t.false(getRandomStringRegex(8, { alphabet: 'base58' }).test('0OIl0OIl'))
+  t.false(getRandomStringRegex(8, { alphabet: 'crockford32' }).test('ILOUILOU'))
+
+  await t.throwsAsync(async () => getRandomString(10, { alphabet: 'a' }), { message: /alphabet/i })
+  await t.throwsAsync(async () => getRandomString(10, { alphabet: 'aab' }), { message: /distinct/i })
+  t.throws(() => getRandomStringRegex(10, { alphabet: 2 }), { message: /alphabet/i })
+})
+
+test('generates long random strings', async (t) => {
+  // More random bytes than Web Crypto getRandomValues can provide at once
+  const length = 100000
+  const randomString = await getRandomString(length)
+
+  t.is(randomString.length, length)
+  t.regex(randomString, /^[a-zA-Z\d]+$/)
+  t.is(getRandomStringSync(length).length, length)
+})
+
+test('draws random chars uniformly', (t) => {
+  const alphabet = randomAlphabets.base62
+  const expectedCount = 2000
+  const randomString = getRandomStringSync(alphabet.length * expectedCount)
+  const counts = {}
+
+  for (const char of randomString) counts[char] = (counts[char] || 0) + 1
+
+  t.is(Object.keys(counts).length, alphabet.length)
+  // Standard deviation is about 44 here, and biased '0' used to be 3 times more frequent
+  t.true(Object.values(counts).every(count => Math.abs(count - expectedCount) < expectedCount / 4))
+})
+
 test('generates strings with appropriate substitutions using RegExp (digits only)', async (t) => {
   const randomStringsPromises = []
   const length = 8
@@ -123,7 +193,11 @@ test('extracts platformId from platformId encoded and masked string', async (t)
   const platformIds = {
     S1123: { id: '1', shuffler: '123' }, // base 62
     S1a0A: { id: '11', shuffler: 'a00' },
-    szzzz: { id: maxPlatformId.toString(), shuffler: 'zzz' }
+    szzzz: { id: maxPlatformId.toString(), shuffler: 'zzz' },
+    // wide platform part
+    S10123: { id: '1', shuffler: '123' },
+    e1y001: { id: (maxPlatformId + 1).toString(), shuffler: '000' },
+    szzzzz: { id: maxWidePlatformId.toString(), shuffler: 'zzz' }
   }
 
   Object.keys(platformIds).forEach((paddedIdString) => {
@@ -188,7 +262,7 @@ test('generates objectIds with model idPrefix and base62-encoded platformId', as
   })
   const platformIds = Array.from(Array(nbStrings), (_, i) => {
     // Test all platforms from 1 to 101, go random afterwards
-    const id = i <= 100 ? i + 1 : getRandomPlatformId()
+    const id = i <= 100 ? i + 1 : getRandomPlatformId({ widePlatform: false })
     return id.toString()
   })
   const start = performance.now()
@@ -222,12 +296,492 @@ test('generates objectIds with model idPrefix and base62-encoded platformId', as
   }))
 })
 
+test('generates a batch of distinct objectIds', async (t) => {
+  const prefix = 'ast'
+  const env = 'live'
+  const count = 1000
+  const platformId = getRandomPlatformId({ widePlatform: false })
+
+  const objectIds = await getObjectIds({ prefix, platformId, env, count })
+  const objectIdsSync = getObjectIdsSync({ prefix, platformId, env, count: 10 })
+
+  t.is(objectIds.length, count)
+  t.is(new Set(objectIds).size, count)
+  t.is(objectIdsSync.length, 10)
+
+  t.true(objectIds.concat(objectIdsSync).every((objectId) => {
+    const data = extractDataFromObjectId(objectId)
+    return getRandomStringRegex(objectIdLength, { prefix }).test(objectId) &&
+      data.platformId === platformId &&
+      data.isLive
+  }))
+
+  t.deepEqual(await getObjectIds({ prefix, platformId, count: 0 }), [])
+  await t.throwsAsync(async () => getObjectIds({ prefix, platformId, count: -1 }), {
+    message: /count/
+  })
+  await t.throwsAsync(async () => getObjectIds({ prefix, count: 1 }), {
+    message: /platformId/
+  })
+})
+
+test('generates a batch of objectIds faster than one by one', async (t) => {
+  const options = { prefix: 'ast', platformId: getRandomPlatformId(), env: 'test' }
+  const count = 2000
+
+  let start = performance.now()
+  for (let i = 0; i < count; i++) await getObjectId(options)
+  const loopDuration = performance.now() - start
+
+  start = performance.now()
+  await getObjectIds({ ...options, count })
+  const batchDuration = performance.now() - start
+
+  debug(`${count} objectIds generated in ${loopDuration}ms one by one, ${batchDuration}ms in batch`)
+
+  t.true(batchDuration < loopDuration)
+})
+
+test('generates monotonic objectIds ordered by creation time', async (t) => {
+  const platformId = getRandomPlatformId({ widePlatform: false })
+  const start = Date.now()
+
+  const objectIds = getObjectIdsSync({ prefix: 'ast', platformId, count: 1000, monotonic: true })
+  objectIds.push(await getObjectId({ prefix: 'ast', platformId, monotonic: true }))
+
+  t.true(objectIds.every(id => id.length === 29))
+
+  const data = objectIds.map(extractDataFromObjectId)
+  t.true(data.every(d => d.monotonic && d.version === 4 && d.platformId === platformId))
+  t.true(data.every(d => d.timestampMs >= start && d.timestampMs <= Date.now() + 1000))
+  t.true(data.every(d => d.timestamp === Math.floor(d.timestampMs / 1000)))
+  t.true(data.some(d => d.counter > 0)) // several objectIds per millisecond
+
+  const shuffled = objectIds.slice().sort(() => Math.random() - 0.5)
+  t.deepEqual(shuffled.sort(compareObjectIds), objectIds)
+
+  await t.throwsAsync(async () => getObjectId({ prefix: 'ast', platformId, monotonic: true, version: 3 }), {
+    message: /monotonic/i
+  })
+})
+
+test('keeps monotonic objectIds ordered when clock goes backwards', (t) => {
+  const { getObjectIdSync, compareObjectIds } = createGenerator()
+  const platformId = getRandomPlatformId()
+  const now = Date.now
+
+  const objectIds = []
+  try {
+    Date.now = () => 1600000000000
+    objectIds.push(getObjectIdSync({ prefix: 'ast', platformId, monotonic: true }))
+    Date.now = () => 1600000000000 - 1000
+    for (let i = 0; i < 4000; i++) { // counter overflow
+      objectIds.push(getObjectIdSync({ prefix: 'ast', platformId, monotonic: true }))
+    }
+  } finally {
+    Date.now = now
+  }
+
+  for (let i = 1; i < objectIds.length; i++) {
+    t.true(compareObjectIds(objectIds[i - 1], objectIds[i]) < 0)
+  }
+  t.is(extractDataFromObjectId(objectIds[objectIds.length - 1]).timestampMs, 1600000000001)
+})
+
+test('gets bounds covering all sortable objectIds generated during a time range', (t) => {
+  let clock = 0
+  const { getObjectIdSync, getObjectIdRangeForTime } = createGenerator({ now: () => clock })
+  const options = { prefix: 'ast', platformId: getRandomPlatformId({ widePlatform: false }), env: 'live', sortable: true }
+  const from = new Date('2020-01-01T00:00:00.000Z')
+  const to = new Date('2020-01-01T00:01:00.000Z')
+
+  const { lowerBound, upperBound } = getObjectIdRangeForTime({ ...options, from, to })
+  const isInRange = id => id >= lowerBound && id <= upperBound
+
+  for (clock = from.getTime() - 10000; clock <= to.getTime() + 10000; clock += 97) {
+    const objectId = getObjectIdSync(options)
+    const otherPlatformObjectId = getObjectIdSync({ ...options, platformId: getRandomPlatformId({ widePlatform: false }) })
+    const testObjectId = getObjectIdSync({ ...options, env: 'test' })
+
+    t.deepEqual(extractDataFromObjectId(objectId).timestamp, Math.floor(clock / 1000))
+
+    if (clock >= from.getTime() && clock <= to.getTime()) {
+      t.true(isInRange(objectId), `${objectId} generated at ${clock} out of range`)
+    } else if (clock < from.getTime() - 1000 || clock > to.getTime() + 1000) {
+      t.false(isInRange(objectId)) // 1-second precision
+    }
+    if (otherPlatformObjectId.slice(4, 9) !== objectId.slice(4, 9)) {
+      t.false(isInRange(otherPlatformObjectId))
+    }
+    t.false(isInRange(testObjectId))
+  }
+})
+
+test('gets exact bounds for sortable monotonic objectIds', (t) => {
+  let clock = 1600000000000
+  const { getObjectIdSync, getObjectIdRangeForTime } = createGenerator({ now: () => clock })
+  const options = { prefix: 'evt', platformId: getRandomPlatformId(), sortable: true, monotonic: true }
+
+  const { lowerBound, upperBound } = getObjectIdRangeForTime({
+    ...options,
+    from: clock + 10,
+    to: clock + 20
+  })
+
+  const objectIds = []
+  for (let i = 0; i < 30; i++) {
+    objectIds.push(getObjectIdSync(options), getObjectIdSync(options))
+    clock++
+  }
+
+  t.deepEqual(objectIds.slice().sort(), objectIds) // lexicographic order is creation order
+  t.deepEqual(
+    objectIds.filter(id => id >= lowerBound && id <= upperBound),
+    objectIds.slice(20, 42)
+  )
+  t.throws(() => getObjectIdRangeForTime({ ...options, from: clock, to: clock - 1 }), {
+    message: /time range/i
+  })
+  t.throws(() => getObjectIdRangeForTime({ ...options, from: 'yesterday', to: clock }), {
+    message: /date/i
+  })
+})
+
+test('compares objectIds by creation time across versions', async (t) => {
+  let clock = Date.UTC(2030, 0, 1)
+  const { getObjectId, compareObjectIds } = createGenerator({ now: () => clock })
+  const platformId = getRandomPlatformId({ widePlatform: false })
+
+  const v3ObjectId = await getObjectId({ prefix: 'ast', platformId, version: 3 })
+  clock += 500
+  const monotonicObjectId = await getObjectId({ prefix: 'ast', platformId, monotonic: true })
+  const nextMonotonicObjectId = await getObjectId({ prefix: 'ast', platformId, monotonic: true }) // same ms
+  clock += 500
+  const laterV3ObjectId = await getObjectId({ prefix: 'ast', platformId, version: 3 })
+
+  t.is(compareObjectIds(v3ObjectId, v3ObjectId), 0)
+  t.true(compareObjectIds(v3ObjectId, monotonicObjectId) < 0)
+  t.true(compareObjectIds(monotonicObjectId, v3ObjectId) > 0)
+  t.true(compareObjectIds(monotonicObjectId, nextMonotonicObjectId) < 0)
+  t.true(compareObjectIds(nextMonotonicObjectId, laterV3ObjectId) < 0)
+  t.true(compareObjectIds(laterV3ObjectId, v3ObjectId) > 0)
+
+  const objectIds = [laterV3ObjectId, nextMonotonicObjectId, v3ObjectId, monotonicObjectId]
+  t.deepEqual(objectIds.sort(compareObjectIds), [v3ObjectId, monotonicObjectId, nextMonotonicObjectId, laterV3ObjectId])
+})
+
+test('generates objectIds synchronously', (t) => {
+  const platformId = getRandomPlatformId({ widePlatform: false })
+
+  for (const version of [3, 4]) {
+    const objectId = getObjectIdSync({ prefix: 'ast', platformId, env: 'test', version })
+
+    t.is(objectId.length, objectIdLayouts[version].length)
+    t.like(extractDataFromObjectId(objectId), { object: 'ast', version, platformId, isLive: false })
+  }
+
+  t.throws(() => getObjectIdSync({ prefix: 'ast' }), { message: /platformId/ })
+})
+
+test('generates and parses objectIds of a given format version', async (t) => {
+  const platformId = getRandomPlatformId({ widePlatform: false })
+  const now = Math.round(Date.now() / 1000)
+
+  const v3ObjectId = await getObjectId({ prefix: 'ast', platformId, env: 'live', version: 3 })
+  const v4ObjectId = await getObjectId({ prefix: 'ast', platformId, env: 'live', version: 4 })
+  const defaultObjectId = await getObjectId({ prefix: 'ast', platformId, env: 'live' })
+
+  t.is(v3ObjectId.length, objectIdLayouts[3].length)
+  t.is(v4ObjectId.length, objectIdLayouts[4].length)
+  t.is(v4ObjectId.slice(-1), '4')
+  t.is(defaultObjectId.length, objectIdLength)
+
+  for (const [objectId, version] of [[v3ObjectId, 3], [v4ObjectId, 4], [defaultObjectId, 4]]) {
+    const data = extractDataFromObjectId(objectId)
+
+    t.like(data, { object: 'ast', version, platformId, zone: 'E', isLive: true })
+    t.true(Math.abs(data.timestamp - now) <= 1)
+  }
+
+  await t.throwsAsync(async () => getObjectId({ prefix: 'ast', platformId, version: 2 }), {
+    message: /version/i
+  })
+  t.throws(() => extractDataFromObjectId(v4ObjectId.slice(0, -1) + 'z'), { message: /format/i })
+  t.throws(() => extractDataFromObjectId(v4ObjectId + '4'), { message: /format/i })
+})
+
+test('parses valid objectIds', async (t) => {
+  const platformId = getRandomPlatformId({ widePlatform: false })
+  const optionsList = [
+    { version: 3 },
+    { version: 4 },
+    { monotonic: true },
+    { sortable: true },
+    { sortable: true, monotonic: true }
+  ]
+
+  for (const options of optionsList) {
+    const objectId = await getObjectId({ prefix: 'ast', platformId, env: 'live', ...options })
+
+    t.like(parseObjectId(objectId), {
+      object: 'ast',
+      platformId,
+      zone: 'E',
+      region: 'eu-west-1',
+      isLive: true,
+      hasValidFormat: true,
+      errors: []
+    })
+    t.true(parseObjectId(objectId, { prefix: 'ast' }).hasValidFormat)
+    t.true(isValidObjectId(objectId))
+  }
+})
+
+test('generates and parses objectIds with wide platform part', async (t) => {
+  const widePlatformId = (maxPlatformId + 1).toString()
+  // getRandomPlatformId can return platformIds fitting in 4 chars
+  const randomWidePlatformId = (maxPlatformId + 1 + Math.floor(Math.random() * (maxWidePlatformId - maxPlatformId)))
+    .toString()
+  const optionsList = [
+    {},
+    { monotonic: true },
+    { sortable: true },
+    { sortable: true, monotonic: true }
+  ]
+
+  for (const options of optionsList) {
+    for (const platformId of [widePlatformId, maxWidePlatformId.toString(), randomWidePlatformId]) {
+      const objectId = await getObjectId({ prefix: 'ast', platformId, env: 'live', ...options })
+      const narrowObjectId = await getObjectId({ prefix: 'ast', platformId: '12', env: 'live', ...options })
+
+      t.is(objectId.length, narrowObjectId.length + 1)
+      t.like(parseObjectId(objectId), { platformId, widePlatform: true, zone: 'E', hasValidFormat: true })
+    }
+
+    // Small platformIds can use wide platform part too, to keep object IDs of the same length
+    const objectId = getObjectIdSync({ prefix: 'ast', platformId: '12', widePlatform: true, ...options })
+    t.like(parseObjectId(objectId), { platformId: '12', widePlatform: true, hasValidFormat: true })
+  }
+
+  // Existing object IDs with 4-char platform part are still parsed
+  const narrowObjectId = await getObjectId({ prefix: 'ast', platformId: maxPlatformId.toString() })
+  t.is(narrowObjectId.length, objectIdLength)
+  t.like(parseObjectId(narrowObjectId), { platformId: maxPlatformId.toString(), widePlatform: false })
+
+  await t.throwsAsync(async () => getObjectId({ prefix: 'ast', platformId: widePlatformId, version: 3 }), {
+    message: /version 4/
+  })
+  await t.throwsAsync(async () => getObjectId({ prefix: 'ast', platformId: widePlatformId, widePlatform: false }), {
+    message: /range/
+  })
+})
+
+test('rejects objectIds with invalid format without throwing', async (t) => {
+  const objectId = await getObjectId({ prefix: 'ast', platformId: '12' })
+  const zoneIndex = objectId.length - 1 - 3 - 6 - 4 - 1
+  const replaceChar = (index, char) => objectId.slice(0, index) + char + objectId.slice(index + 1)
+
+  const invalidObjectIds = {
+    [objectId.slice(0, -2)]: /length/,
+    [objectId + '4']: /length/,
+    [replaceChar(zoneIndex - 1, '_')]: /characters/,
+    [replaceChar(zoneIndex - 1, '-')]: /characters/,
+    [replaceChar(0, '-')]: /prefix/,
+    [replaceChar(3, 'z')]: /prefix/,
+    [replaceChar(zoneIndex, 'x')]: /zone|platformId/,
+    [replaceChar(zoneIndex + 1, 'z')]: /platformId|timestamp/
+  }
+
+  for (const invalidObjectId in invalidObjectIds) {
+    const result = parseObjectId(invalidObjectId)
+
+    t.false(result.hasValidFormat, invalidObjectId)
+    t.regex(result.errors.join(), invalidObjectIds[invalidObjectId])
+    t.false(isValidObjectId(invalidObjectId))
+  }
+
+  t.like(parseObjectId(objectId, { prefix: 'usr' }), { hasValidFormat: false, errors: ['Prefix usr expected'] })
+  t.like(parseObjectId(), { hasValidFormat: false, errors: ['String object ID expected'] })
+  t.false(isValidObjectId({}))
+})
+
+test('rejects objectIds with implausible timestamp', async (t) => {
+  const future = Date.UTC(2200, 0, 1)
+  const futureObjectId = createGenerator({ now: () => future }).getObjectIdSync({
+    prefix: 'ast',
+    platformId: '12'
+  })
+
+  t.like(parseObjectId(futureObjectId), { platformId: '12', hasValidFormat: false, errors: ['Implausible timestamp'] })
+  t.true(isValidObjectId(futureObjectId, { maxTimestamp: future }))
+  t.false(isValidObjectId(futureObjectId, { minTimestamp: new Date(future + 1000), maxTimestamp: future + 2000 }))
+})
+
+test('parses back objectIds generated with random prefixes and separators', async (t) => {
+  const prefixChars = 'abcXYZ019_-+/@.'
+  const separators = ['_', '-', '@', '::', '+', '/', '.', 'LONG', 'x', '']
+  const optionsList = [{}, { version: 3 }, { monotonic: true }, { sortable: true }]
+  const getRandomItem = items => items[Math.floor(Math.random() * items.length)]
+
+  for (let i = 0; i < 1000; i++) {
+    const prefixLength = Math.floor(Math.random() * 5)
+    const prefix = Array.from(Array(prefixLength), () => getRandomItem(prefixChars)).join('')
+    const separator = getRandomItem(separators)
+    const platformId = getRandomPlatformId({ widePlatform: false })
+    const env = getRandomItem(['live', 'test'])
+    const options = { prefix, separator, platformId, env, ...getRandomItem(optionsList) }
+
+    const objectId = await getObjectId(options)
+    const data = extractDataFromObjectId(objectId, { prefix, separator })
+    const message = `${objectId} with ${JSON.stringify(options)}`
+
+    t.is(data.object, prefix, message)
+    t.is(data.platformId, platformId, message)
+    t.is(data.isLive, env === 'live', message)
+    t.true(Math.abs(data.timestamp - Date.now() / 1000) <= 2, message)
+    t.true(isValidObjectId(objectId, { prefix, separator }), message)
+
+    // Detecting prefix from separator when prefix does not include separator
+    if (separator && prefix && !prefix.includes(separator)) {
+      t.is(extractDataFromObjectId(objectId, { separator }).object, prefix, message)
+    }
+  }
+})
+
+test('parses objectIds with empty prefix or custom separator', async (t) => {
+  const platformId = getRandomPlatformId()
+  const emptyPrefixObjectId = await getObjectId({ prefix: '', platformId })
+  const customSeparatorObjectId = await getObjectId({ prefix: 'ast', separator: '@', platformId, sortable: true })
+
+  t.like(extractDataFromObjectId(emptyPrefixObjectId), { object: '', platformId })
+  t.true(isValidObjectId(emptyPrefixObjectId, { prefix: '' }))
+  t.false(isValidObjectId(emptyPrefixObjectId)) // non-empty prefix expected by default
+
+  t.like(extractDataFromObjectId(customSeparatorObjectId, { separator: '@' }), { object: 'ast', platformId })
+  t.like(parseObjectId(customSeparatorObjectId, { prefix: 'ast' }), {
+    hasValidFormat: false,
+    errors: ['Prefix ast expected']
+  })
+  t.throws(() => extractDataFromObjectId(customSeparatorObjectId, { prefix: 'usr', separator: '@' }), {
+    message: /usr prefix/
+  })
+})
+
+test('generates and parses objectIds of registered object types', async (t) => {
+  const { getObjectId, getObjectIdsSync, extractDataFromObjectId, parseObjectId, getObjectTypes } = createGenerator({
+    objectTypes: [
+      { name: 'asset', prefix: 'ast' },
+      { name: 'event', prefix: 'evt', options: { sortable: true } },
+      { name: 'user', prefix: 'usr', options: { separator: '@', monotonic: true } }
+    ]
+  })
+  const platformId = getRandomPlatformId({ widePlatform: false })
+
+  t.deepEqual(getObjectTypes().map(type => type.name), ['asset', 'event', 'user'])
+
+  const assetId = await getObjectId({ type: 'asset', platformId })
+  t.true(assetId.startsWith('ast_'))
+  t.like(extractDataFromObjectId(assetId), { object: 'ast', type: 'asset', platformId })
+  t.like(parseObjectId(assetId, { type: 'asset' }), { type: 'asset', hasValidFormat: true })
+  t.like(parseObjectId(assetId, { type: 'event' }), { hasValidFormat: false, errors: ['Prefix evt expected'] })
+
+  const eventIds = getObjectIdsSync({ type: 'event', platformId, count: 3 })
+  eventIds.forEach(id => t.like(parseObjectId(id), { type: 'event', sortable: true, hasValidFormat: true }))
+
+  // Registered separator is used by parsers without needing options
+  const userId = await getObjectId({ type: 'user', platformId })
+  t.true(userId.startsWith('usr@'))
+  t.like(parseObjectId(userId), { object: 'usr', type: 'user', monotonic: true, platformId, hasValidFormat: true })
+
+  // Generation options take precedence over type options
+  const legacyUserId = await getObjectId({ type: 'user', platformId, separator: '_', version: 3, monotonic: false })
+  t.like(extractDataFromObjectId(legacyUserId), { object: 'usr', type: null, version: 3 })
+
+  const unregisteredId = await getObjectId({ prefix: 'ord', platformId })
+  t.like(parseObjectId(unregisteredId), { object: 'ord', type: null, hasValidFormat: true })
+
+  await t.throwsAsync(() => getObjectId({ type: 'unknown', platformId }), { message: /Unknown object type/ })
+  await t.throwsAsync(() => getObjectId({ type: 'asset', prefix: 'evt', platformId }), { message: /does not match/ })
+})
+
+test('rejects invalid object types', (t) => {
+  const { registerObjectType, getObjectType, getObjectIdSync } = createGenerator()
+
+  t.like(registerObjectType({ name: 'asset', prefix: 'ast' }), { name: 'asset', prefix: 'ast', options: {} })
+  t.like(getObjectType('asset'), { prefix: 'ast' })
+  t.is(getObjectType('unknown'), undefined)
+
+  t.throws(() => registerObjectType({ name: 'asset', prefix: 'ass' }), { message: /already registered/ })
+  t.throws(() => registerObjectType({ name: 'assetType', prefix: 'ast' }), { message: /already used by asset/ })
+  t.throws(() => registerObjectType({ name: 'event' }), { message: /alphanumeric prefix/ })
+  t.throws(() => registerObjectType({ name: 'event', prefix: 'ev_t' }), { message: /alphanumeric prefix/ })
+  t.throws(() => registerObjectType({ prefix: 'evt' }), { message: /name expected/ })
+  t.throws(() => registerObjectType({ name: 'event', prefix: 'evt', options: { env: 'live' } }), {
+    message: /options are expected/
+  })
+
+  // Too long to leave room for random chars
+  t.throws(() => registerObjectType({ name: 'long', prefix: 'a'.repeat(13) }), { message: /too long/ })
+  t.throws(() => registerObjectType({ name: 'legacy', prefix: 'a'.repeat(12), options: { version: 3 } }), {
+    message: /too long/
+  })
+  t.notThrows(() => registerObjectType({ name: 'long', prefix: 'a'.repeat(12) }))
+  t.is(getObjectIdSync({ type: 'long', platformId: '1' }).length, objectIdLength)
+
+  t.throws(() => createGenerator({
+    objectTypes: [{ name: 'asset', prefix: 'ast' }, { name: 'asset2', prefix: 'ast' }]
+  }), { message: /already used/ })
+})
+
+test('generates objectIds with explicit creation time', async (t) => {
+  const platformId = getRandomPlatformId({ widePlatform: false })
+  const createdAt = new Date('2015-06-15T12:34:56.789Z')
+  const layoutOptionsList = [{}, { version: 3 }, { monotonic: true }, { sortable: true }, { sortable: true, monotonic: true }]
+
+  for (const layoutOptions of layoutOptionsList) {
+    const message = JSON.stringify(layoutOptions)
+    const { maxTimestamp } = getObjectIdTimestampRange(layoutOptions)
+    const timestamps = [createdAt, createdAt.getTime(), 0, maxTimestamp]
+
+    for (const timestamp of timestamps) {
+      const timestampMs = timestamp instanceof Date ? timestamp.getTime() : timestamp
+      const expectedTimestampMs = layoutOptions.monotonic ? timestampMs : Math.floor(timestampMs / 1000) * 1000
+
+      // Various shufflers, including largest masks
+      for (let i = 0; i < 20; i++) {
+        const objectId = await getObjectId({ prefix: 'ast', platformId, createdAt: timestamp, ...layoutOptions })
+        t.like(extractDataFromObjectId(objectId), {
+          platformId,
+          timestamp: Math.floor(timestampMs / 1000),
+          timestampMs: expectedTimestampMs,
+          counter: layoutOptions.monotonic ? 0 : null
+        }, message)
+      }
+    }
+
+    await t.throwsAsync(() => getObjectId({ prefix: 'ast', platformId, createdAt: maxTimestamp + 1, ...layoutOptions }), {
+      message: /creation time is expected to be between/
+    })
+  }
+
+  await t.throwsAsync(() => getObjectId({ prefix: 'ast', platformId, createdAt: -1 }), {
+    message: /creation time is expected to be between 1970-01-01T00:00:00.000Z and 3769/
+  })
+  await t.throwsAsync(() => getObjectId({ prefix: 'ast', platformId, createdAt: new Date('invalid') }), {
+    message: /Date or number/
+  })
+
+  const importedIds = getObjectIdsSync({ prefix: 'ast', platformId, createdAt, count: 100 })
+  t.is(new Set(importedIds).size, 100)
+  importedIds.forEach(id => t.like(parseObjectId(id), { timestamp: Math.floor(createdAt.getTime() / 1000), hasValidFormat: true }))
+})
+
 test('throws when generating objectIds with invalid platformId', async (t) => {
   const prefix = 'test'
 
   await t.throwsAsync(async () => getObjectId({ prefix }))
 
-  const platformId = maxPlatformId + 1
+  const platformId = maxWidePlatformId + 1
 
   await t.throwsAsync(async () => getObjectId({ prefix, platformId }))
 })
@@ -238,9 +792,14 @@ test('validates platformId format', t => {
     t.true(isValidPlatformId(id))
   }
 
-  const maxId = maxPlatformId
+  const maxId = maxWidePlatformId
   t.true(isValidPlatformId(maxId))
   t.false(isValidPlatformId(maxId + 1))
+  t.true(isValidPlatformId(maxPlatformId + 1))
+  t.is(maxPlatformId, 14299681) // limit of 4-char platform part, unchanged
+  t.true(Array.from(Array(100), () => getRandomPlatformId()).some(id => id > maxPlatformId))
+  t.true(Array.from(Array(100), () => getRandomPlatformId({ widePlatform: false }))
+    .every(id => id <= maxPlatformId))
   t.false(isValidPlatformId(-1))
   t.false(isValidPlatformId(-Infinity))
   t.false(isValidPlatformId(null))
@@ -260,13 +819,48 @@ test('parses a public platform ID', async (t) => {
       env,
       platformId,
       zone,
+      region: 'eu-west-1',
       hasValidFormat: true
     })
     t.deepEqual(parsePublicPlatformId(withoutEnv), {
       env: null,
       platformId,
       zone,
+      region: 'eu-west-1',
       hasValidFormat: true
     })
   }
 })
+
+test('formats public platform IDs that can be parsed back', async (t) => {
+  for (let i = 0; i < 1000; i++) {
+    const platformId = getRandomPlatformId()
+    const zone = platformZones[i % platformZones.length]
+    const env = [undefined, 'live', 'test'][i % 3]
+
+    const publicPlatformId = formatPublicPlatformId({ platformId, zone, env })
+    t.deepEqual(parsePublicPlatformId(publicPlatformId), {
+      env: env || null,
+      platformId,
+      zone,
+      region: getZoneRegion(zone),
+      hasValidFormat: true
+    })
+  }
+
+  t.is(formatPublicPlatformId({ platformId: '11' }), 'e11')
+  t.is(formatPublicPlatformId({ platformId: '11', zone: 's', env: 'LIVE' }), 's11_live')
+  t.throws(() => formatPublicPlatformId({ platformId: '-1' }), { message: /invalid platformId/i })
+  t.throws(() => formatPublicPlatformId({ platformId: 11 }), { message: /invalid platformId/i })
+  t.throws(() => formatPublicPlatformId({ platformId: '11', zone: 'x' }), { message: /zone/i })
+  t.throws(() => formatPublicPlatformId({ platformId: '11', env: 'prod' }), { message: /env/i })
+})
+
+test('gets public platform ID from objectId', async (t) => {
+  const liveObjectId = await getObjectId({ prefix: 'ast', platformId: '11', env: 'live', platformZone: 's' })
+  const testObjectId = await getObjectId({ prefix: 'ast', platformId: '11', sortable: true })
+
+  t.is(getPublicPlatformIdFromObjectId(liveObjectId), 's11_live')
+  t.is(getPublicPlatformIdFromObjectId(testObjectId), 'e11_test')
+  t.throws(() => getPublicPlatformIdFromObjectId('ast_invalid'))
+})
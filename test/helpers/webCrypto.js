@@ -0,0 +1,26 @@
+/* global globalThis */
+const Module = require('module')
+const path = require('path')
+const crypto = require('crypto')
+
+const stubbedPaths = [
+  path.join(__dirname, '../../src/generator.js'),
+  path.join(__dirname, '../../src/apiKey.js')
+]
+
+// Like browser bundles (see package.json), source files get an empty object instead of Node crypto module
+const load = Module._load
+Module._load = function (request, parent) {
+  if (request === 'crypto' && parent && stubbedPaths.includes(parent.filename)) return {}
+  return load.apply(this, arguments)
+}
+
+// Lets tests of features requiring Node crypto module run conditionally
+process.env.STELACE_TEST_NO_NODE_CRYPTO = 'true'
+
+// Web Crypto is only exposed globally from Node 19
+if (!globalThis.crypto) {
+  globalThis.crypto = crypto.webcrypto || {
+    getRandomValues: array => crypto.randomFillSync(array)
+  }
+}
@@ -0,0 +1,100 @@
+const test = require('ava')
+
+const { generateKey } = require('../src/apiKey')
+const {
+  getKeyLookupPrefix,
+  hashKey,
+  verifyKey,
+  serializeKeyHash,
+  parseKeyHash
+} = require('../src/keyHash')
+
+const secret = 'server-side secret'
+const scrypt = { N: 1024 } // faster tests
+
+test('hashes and verifies a key with hmac-sha256', async (t) => {
+  const key = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+  const otherKey = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+
+  const record = await hashKey(key, { algorithm: 'hmac-sha256', secret })
+
+  t.is(record.algorithm, 'hmac-sha256')
+  t.true(await verifyKey(key, record, { secret }))
+  t.false(await verifyKey(otherKey, record, { secret }))
+  t.false(await verifyKey(key, record, { secret: 'other secret' }))
+  t.false(await verifyKey(key, record))
+})
+
+test('hashes and verifies a key with scrypt', async (t) => {
+  const key = await generateKey({ type: 'pubk', env: 'test', platformId: '12' })
+  const otherKey = await generateKey({ type: 'pubk', env: 'test', platformId: '12' })
+
+  const record = await hashKey(key, { scrypt })
+  const otherRecord = await hashKey(key, { scrypt })
+
+  t.is(record.algorithm, 'scrypt')
+  t.is(record.params.N, 1024)
+  t.not(record.salt, otherRecord.salt)
+  t.not(record.hash, otherRecord.hash)
+  t.true(await verifyKey(key, record))
+  t.true(await verifyKey(key, otherRecord))
+  t.false(await verifyKey(otherKey, record))
+})
+
+test('serializes and parses hash records', async (t) => {
+  const key = await generateKey({ type: 'seck', env: 'test', platformId: '1' })
+
+  const hmacRecord = await hashKey(key, { algorithm: 'hmac-sha256', secret })
+  const scryptRecord = await hashKey(key, { scrypt })
+
+  for (const record of [hmacRecord, scryptRecord]) {
+    const serialized = serializeKeyHash(record)
+
+    t.true(serialized.startsWith(`$${record.algorithm}$`))
+    t.deepEqual(parseKeyHash(serialized), { ...record, hasValidFormat: true })
+    t.true(await verifyKey(key, serialized, { secret }))
+  }
+
+  t.regex(serializeKeyHash(scryptRecord), /^\$scrypt\$N=1024,r=8,p=1,keyLength=32\$[^$]+\$[^$]+$/)
+})
+
+test('rejects invalid hash records', async (t) => {
+  const key = await generateKey({ type: 'seck', env: 'test', platformId: '1' })
+
+  t.false(parseKeyHash().hasValidFormat)
+  t.false(parseKeyHash('scrypt$N=1024$salt$hash').hasValidFormat)
+  t.false(parseKeyHash('$md5$$$hash').hasValidFormat)
+  t.false(parseKeyHash('$scrypt$N=1024$$hash').hasValidFormat)
+  t.false(parseKeyHash('$scrypt$N=abc$salt$hash').hasValidFormat)
+
+  t.false(await verifyKey(key, '$md5$$$hash'))
+  t.throws(() => serializeKeyHash({ algorithm: 'md5', hash: 'hash' }), { message: /algorithm/ })
+})
+
+test('gets a non-secret lookup prefix', async (t) => {
+  const key = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+
+  t.is(getKeyLookupPrefix(key), key.slice(0, 'seck_live_'.length + 8))
+  t.is(getKeyLookupPrefix(key, { length: 4 }), key.slice(0, 'seck_live_'.length + 4))
+  t.throws(() => getKeyLookupPrefix(key, { length: 20 }), { message: /length/ })
+})
+
+test('rejects keys with invalid format', async (t) => {
+  const invalidKeys = [
+    undefined,
+    '',
+    'seck_live',
+    'pubk_live_iuJzTKo5wumuE1imRjmcgimx', // invalid platformId
+    'inv_live_AYTxTndk2GC0E1dFevEOG9bogGhiqdFT' // invalid type
+  ]
+  const validKey = await generateKey({ type: 'seck', env: 'live', platformId: '12' })
+  const record = await hashKey(validKey, { algorithm: 'hmac-sha256', secret })
+
+  for (const key of invalidKeys) {
+    t.throws(() => getKeyLookupPrefix(key), { message: /invalid apikey format/i })
+    await t.throwsAsync(async () => hashKey(key, { algorithm: 'hmac-sha256', secret }), {
+      message: /invalid apikey format/i
+    })
+    t.false(await verifyKey(key, record, { secret }))
+  }
+})
@@ -0,0 +1,248 @@
+const test = require('ava')
+const { spawnSync } = require('child_process')
+const path = require('path')
+
+const { createKeyUtils } = require('../src/keyUtils')
+const generator = require('../src/generator')
+const apiKey = require('../src/apiKey')
+
+const zones = {
+  e: 'eu-west-1',
+  s: 'ap-southeast-1',
+  u: 'us-east-1'
+}
+
+test('generates and parses keys and IDs in custom zones', async (t) => {
+  const {
+    generateKey,
+    parseKey,
+    getObjectId,
+    extractDataFromObjectId,
+    parsePublicPlatformId,
+    platformZones
+  } = createKeyUtils({ zones })
+
+  t.deepEqual(platformZones, ['e', 's', 'u'])
+
+  const key = await generateKey({ type: 'seck', env: 'live', platformId: '12', zone: 'u' })
+  t.like(parseKey(key), {
+    platformId: '12',
+    zone: 'u',
+    region: 'us-east-1',
+    hasValidFormat: true
+  })
+
+  const objectId = await getObjectId({ prefix: 'ast', platformId: '12', env: 'live', platformZone: 'u' })
+  t.like(extractDataFromObjectId(objectId), {
+    platformId: '12',
+    zone: 'U',
+    region: 'us-east-1',
+    isLive: true
+  })
+
+  t.like(parsePublicPlatformId('u12_live'), {
+    platformId: '12',
+    zone: 'u',
+    region: 'us-east-1',
+    hasValidFormat: true
+  })
+})
+
+test('uses first zone of the registry as default zone', async (t) => {
+  const { generateKey, parseKey, getObjectId, extractDataFromObjectId } = createKeyUtils({
+    zones: { u: 'us-east-1' }
+  })
+
+  const key = await generateKey({ type: 'pubk', env: 'test', platformId: '1' })
+  t.like(parseKey(key), { zone: 'u', region: 'us-east-1', hasValidFormat: true })
+
+  const objectId = await getObjectId({ prefix: 'ast', platformId: '1' })
+  t.like(extractDataFromObjectId(objectId), { zone: 'u', region: 'us-east-1' })
+})
+
+test('resolves default zone from environment variables', async (t) => {
+  const resolveZone = (processEnv, strictZone) => {
+    const { defaultZone, defaultZoneSource } = createKeyUtils({ zones, processEnv, strictZone })
+    return { defaultZone, defaultZoneSource }
+  }
+
+  t.deepEqual(resolveZone({ STELACE_PLATFORM_ZONE: 'S', AWS_REGION: 'us-east-1' }), {
+    defaultZone: 's',
+    defaultZoneSource: 'STELACE_PLATFORM_ZONE'
+  })
+  t.deepEqual(resolveZone({ AWS_REGION: 'us-east-1', AWS_DEFAULT_REGION: 'ap-southeast-1' }), {
+    defaultZone: 'u',
+    defaultZoneSource: 'AWS_REGION'
+  })
+  t.deepEqual(resolveZone({ AWS_REGION: 'eu-central-1', AWS_DEFAULT_REGION: 'ap-southeast-1' }), {
+    defaultZone: 's',
+    defaultZoneSource: 'AWS_DEFAULT_REGION'
+  })
+  t.deepEqual(resolveZone({ AWS_REGION: 'eu-central-1' }), {
+    defaultZone: 'e',
+    defaultZoneSource: 'default'
+  })
+  t.throws(() => resolveZone({ STELACE_PLATFORM_ZONE: 'x', AWS_REGION: 'us-east-1' }), {
+    message: /STELACE_PLATFORM_ZONE/
+  })
+
+  t.throws(() => resolveZone({ AWS_REGION: 'eu-central-1' }, true), { message: /AWS_REGION/ })
+  t.throws(() => resolveZone({ STELACE_PLATFORM_ZONE: 'x', AWS_REGION: 'us-east-1' }, true), {
+    message: /STELACE_PLATFORM_ZONE/
+  })
+
+  // Zone may be meant for a custom registry when using the default one
+  const processEnv = { STELACE_PLATFORM_ZONE: 'u', AWS_REGION: 'ap-southeast-1' }
+  t.like(createKeyUtils({ processEnv }), { defaultZone: 's', defaultZoneSource: 'AWS_REGION' })
+  t.like(generator.createGenerator({ processEnv: { STELACE_PLATFORM_ZONE: 'u' } }), {
+    defaultZone: 'e',
+    defaultZoneSource: 'default'
+  })
+  t.throws(() => createKeyUtils({ processEnv, strictZone: true }), { message: /STELACE_PLATFORM_ZONE/ })
+
+  const { generateKey, parseKey, getObjectId, extractDataFromObjectId, formatPublicPlatformId } = createKeyUtils({
+    zones,
+    processEnv: { AWS_REGION: 'us-east-1' },
+    strictZone: true
+  })
+  const key = await generateKey({ type: 'seck', env: 'live', platformId: '1' })
+  t.like(parseKey(key), { zone: 'u', region: 'us-east-1', hasValidFormat: true })
+  t.like(extractDataFromObjectId(await getObjectId({ prefix: 'ast', platformId: '1' })), { zone: 'u' })
+  t.is(formatPublicPlatformId({ platformId: '1' }), 'u1')
+})
+
+test('can be required with a zone of a custom registry in environment variables', (t) => {
+  const script = `
+    const { createKeyUtils, defaultZone } = require('.')
+    const { defaultZone: customDefaultZone } = createKeyUtils({ zones: { u: 'us-east-1' } })
+    console.log(JSON.stringify({ defaultZone, customDefaultZone }))
+  `
+  const result = spawnSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, STELACE_PLATFORM_ZONE: 'u' },
+    encoding: 'utf8',
+    timeout: 10000
+  })
+
+  t.is(result.status, 0, result.stderr)
+  t.deepEqual(JSON.parse(result.stdout), { defaultZone: 'e', customDefaultZone: 'u' })
+})
+
+test('rejects zones missing from the registry', async (t) => {
+  const { parseKey, getObjectId } = createKeyUtils({ zones })
+
+  await t.throwsAsync(async () => apiKey.generateKey({
+    type: 'seck',
+    env: 'live',
+    platformId: '12',
+    zone: 'u'
+  }), { message: /zone/i })
+  await t.throwsAsync(async () => getObjectId({ prefix: 'ast', platformId: '12', platformZone: 'x' }), {
+    message: /zone/i
+  })
+
+  const key = await createKeyUtils({ zones }).generateKey({
+    type: 'seck',
+    env: 'test',
+    platformId: '12',
+    zone: 'u'
+  })
+  t.true(parseKey(key).hasValidFormat)
+  t.false(apiKey.parseKey(key).hasValidFormat)
+  t.false(generator.parsePublicPlatformId('u12').hasValidFormat)
+})
+
+test('validates the zone registry', (t) => {
+  t.throws(() => createKeyUtils({ zones: {} }), { message: /at least one/i })
+  t.throws(() => createKeyUtils({ zones: { eu: 'eu-west-1' } }), { message: /single lowercase/i })
+  t.throws(() => createKeyUtils({ zones: { E: 'eu-west-1' } }), { message: /single lowercase/i })
+  t.throws(() => createKeyUtils({ zones: { 1: 'eu-west-1' } }), { message: /single lowercase/i })
+  t.throws(() => createKeyUtils({ zones: { e: '' } }), { message: /region/i })
+})
+
+test('enforces the env registry across keys, object IDs and public platform IDs', async (t) => {
+  const {
+    generateKey,
+    parseKey,
+    getObjectId,
+    parseObjectId,
+    parsePublicPlatformId,
+    platformEnvs,
+    defaultEnv
+  } = createKeyUtils({
+    envs: {
+      live: { isLive: true },
+      staging: { isLive: false },
+      test: { isLive: false }
+    },
+    keyTypes: [{ type: 'stagingkey', envs: ['staging'] }]
+  })
+
+  t.deepEqual(platformEnvs, ['live', 'staging', 'test'])
+  t.is(defaultEnv, 'staging')
+
+  const stagingKey = await generateKey({ type: 'seck', env: 'STAGING', platformId: '12' })
+  t.true(stagingKey.startsWith('seck_staging_'))
+  t.like(parseKey(stagingKey), { env: 'staging', hasValidFormat: true })
+  t.false(apiKey.parseKey(stagingKey).hasValidFormat)
+  t.like(parseKey(await generateKey({ type: 'stagingkey', env: 'staging', platformId: '12' })), {
+    keyType: { envs: ['staging'] },
+    hasValidFormat: true
+  })
+
+  await t.throwsAsync(() => generateKey({ type: 'seck', env: 'prod', platformId: '12' }), {
+    message: /env is expected to be one of live, staging, test/i
+  })
+  await t.throwsAsync(() => apiKey.generateKey({ type: 'seck', env: 'staging', platformId: '12' }), {
+    message: /env is expected/i
+  })
+  await t.throwsAsync(() => getObjectId({ prefix: 'ast', platformId: '12', env: 'prod' }), {
+    message: /env is expected/i
+  })
+
+  // Object IDs only encode whether env is live
+  const liveObjectId = await getObjectId({ prefix: 'ast', platformId: '12', env: 'live' })
+  const stagingObjectId = await getObjectId({ prefix: 'ast', platformId: '12', env: 'staging' })
+  t.like(parseObjectId(liveObjectId), { isLive: true, env: 'live', hasValidFormat: true })
+  t.like(parseObjectId(stagingObjectId), { isLive: false, env: null, hasValidFormat: true })
+  t.like(generator.parseObjectId(stagingObjectId), { isLive: false, env: 'test' })
+
+  t.like(parsePublicPlatformId('e12_Staging'), { env: 'staging', hasValidFormat: true })
+  t.like(parsePublicPlatformId('e12_prod'), { hasValidFormat: false })
+  t.like(generator.parsePublicPlatformId('e12_staging'), { hasValidFormat: false })
+})
+
+test('rejects keys whose zone case does not match env', async (t) => {
+  const liveKey = await apiKey.generateKey({ type: 'seck', env: 'live', platformId: '12', version: 3 })
+  const body = liveKey.slice('seck_live_'.length)
+  const forgedTestKey = 'seck_test_' + body.slice(0, -6)
+  const forgedLegacyKey = forgedTestKey + apiKey.getKeyChecksum(forgedTestKey)
+
+  t.true(apiKey.parseKey(liveKey).hasValidFormat)
+  t.like(apiKey.parseKey(forgedLegacyKey), { env: 'test', hasValidChecksum: true, hasValidFormat: false })
+})
+
+test('validates the env registry', (t) => {
+  t.throws(() => createKeyUtils({ envs: {} }), { message: /at least one/i })
+  t.throws(() => createKeyUtils({ envs: { live_eu: { isLive: true } } }), { message: /alphanumeric/i })
+  t.throws(() => createKeyUtils({ envs: { Live: { isLive: true } } }), { message: /alphanumeric/i })
+  t.throws(() => createKeyUtils({ envs: { live: {} } }), { message: /isLive/i })
+  t.throws(() => createKeyUtils({ keyTypes: [{ type: 'stagingkey', envs: ['staging'] }] }), {
+    message: /env is expected/i
+  })
+})
+
+test('keeps internal generator helpers out of exports', (t) => {
+  const internalHelpers = [
+    'getRandomStringTask',
+    'encodeFormatVersion',
+    'decodeFormatVersion',
+    'runTask',
+    'runTaskSync'
+  ]
+  const exported = [generator, apiKey, createKeyUtils(), require('..')]
+
+  exported.forEach(exports => {
+    internalHelpers.forEach(name => t.false(name in exports, name))
+  })
+})
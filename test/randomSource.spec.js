@@ -0,0 +1,108 @@
+const test = require('ava')
+
+const generator = require('../src/generator')
+const apiKey = require('../src/apiKey')
+const { createKeyUtils } = require('../src/keyUtils')
+
+const {
+  createGenerator,
+  createSeededRandomSource,
+  setDefaultRandomSource,
+  secureRandomSource
+} = generator
+
+const now = () => new Date('2020-01-01T00:00:00.000Z').getTime()
+
+function generateValues (keyUtils) {
+  return [
+    keyUtils.getObjectIdSync({ prefix: 'ast', platformId: '12' }),
+    keyUtils.getObjectIdSync({ prefix: 'ast', platformId: '12', sortable: true }),
+    keyUtils.generateKeySync({ type: 'seck', env: 'live', platformId: '12' }),
+    keyUtils.padWithRandomCharsSync('base', 20),
+    keyUtils.getRandomStringSync(10, { alphabet: 'crockford32' })
+  ]
+}
+
+test('generates the same output with the same seed', async (t) => {
+  const values = generateValues(createKeyUtils({ randomSource: createSeededRandomSource('seed'), now }))
+
+  t.deepEqual(generateValues(createKeyUtils({ randomSource: createSeededRandomSource('seed'), now })), values)
+  t.notDeepEqual(generateValues(createKeyUtils({ randomSource: createSeededRandomSource('other'), now })), values)
+  t.notDeepEqual(generateValues(createKeyUtils({ randomSource: createSeededRandomSource(42), now })), values)
+
+  // Async versions draw the same bytes
+  const asyncUtils = createKeyUtils({ randomSource: createSeededRandomSource('seed'), now })
+  t.is(await asyncUtils.getObjectId({ prefix: 'ast', platformId: '12' }), values[0])
+
+  // Generated values are still valid
+  const keyUtils = createKeyUtils({ randomSource: createSeededRandomSource('seed'), now })
+  t.like(keyUtils.parseKey(values[2]), { platformId: '12', hasValidFormat: true })
+  t.like(keyUtils.parseObjectId(values[0], { minTimestamp: now(), maxTimestamp: now() }), {
+    platformId: '12',
+    hasValidFormat: true
+  })
+})
+
+test('draws uniformly distributed bytes from seeded random source', (t) => {
+  const { getRandomBytesSync } = createSeededRandomSource('uniform')
+  const bytes = getRandomBytesSync(256 * 1000)
+  const counts = new Array(256).fill(0)
+  bytes.forEach(byte => { counts[byte]++ })
+
+  t.true(counts.every(count => Math.abs(count - 1000) < 200))
+  t.throws(() => createSeededRandomSource(), { message: /seed expected/ })
+  t.throws(() => createSeededRandomSource(1.5), { message: /seed expected/ })
+})
+
+test.serial('sets default random source of module-level generators', (t) => {
+  setDefaultRandomSource(createSeededRandomSource('seed'))
+  const padded = generator.padWithRandomCharsSync('base', 20)
+  const key = apiKey.generateKeySync({ type: 'seck', env: 'live', platformId: '12' })
+
+  setDefaultRandomSource(createSeededRandomSource('seed'))
+  t.is(generator.padWithRandomCharsSync('base', 20), padded)
+  t.is(apiKey.generateKeySync({ type: 'seck', env: 'live', platformId: '12' }), key)
+
+  setDefaultRandomSource()
+  t.not(generator.padWithRandomCharsSync('base', 20), padded)
+
+  t.throws(() => setDefaultRandomSource({}), { message: /getRandomBytesSync/ })
+})
+
+test.serial('accepts custom random sources', (t) => {
+  const randomSource = { getRandomBytesSync: length => new Uint8Array(length) }
+  const { getRandomStringSync } = createGenerator({ randomSource })
+
+  t.is(getRandomStringSync(5), '00000')
+  t.is(createGenerator({ randomSource: secureRandomSource }).getRandomStringSync(5).length, 5)
+})
+
+test('stops generating batches of object IDs with a constant random source', async (t) => {
+  const randomSource = { getRandomBytesSync: length => new Uint8Array(length) }
+  const { getObjectIds, getObjectIdsSync } = createGenerator({ randomSource, now: () => Date.UTC(2020, 0, 1) })
+  const options = { prefix: 'ast', platformId: '1', count: 2 }
+
+  t.throws(() => getObjectIdsSync(options), { message: /duplicate object IDs/ })
+  await t.throwsAsync(async () => getObjectIds(options), { message: /duplicate object IDs/ })
+  t.is(getObjectIdsSync({ ...options, count: 1 }).length, 1)
+})
+
+test.serial('refuses seeded random source in production unless allowed', (t) => {
+  const nodeEnv = process.env.NODE_ENV
+  process.env.NODE_ENV = 'production'
+
+  try {
+    t.throws(() => createGenerator({ randomSource: createSeededRandomSource('seed') }), {
+      message: /not allowed in production/
+    })
+    t.throws(() => setDefaultRandomSource(createSeededRandomSource('seed')), {
+      message: /not allowed in production/
+    })
+
+    const randomSource = createSeededRandomSource('seed', { allowInProduction: true })
+    t.notThrows(() => createKeyUtils({ randomSource }))
+  } finally {
+    if (typeof nodeEnv === 'undefined') delete process.env.NODE_ENV
+    else process.env.NODE_ENV = nodeEnv
+  }
+})